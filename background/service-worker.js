@@ -9,13 +9,25 @@ class ScraperCoordinator {
     this.state = {
       isRunning: false,
       isPaused: false,
+      mode: 'deep', // 'deep' visits every About page, 'card' only saves the search result cards
+      phase: null, // Deep runs: 'sweep' (queue candidates page by page), 'review' (waiting for the user), 'deep' (About page visits); 'list' for pasted lists, 'refresh' for refresh runs
+      reviewCandidates: false, // Stop after the sweep so the candidate queue can be pruned first
       currentPage: 1,
       startPage: 1, // Track the starting page number
       maxPages: 5,
+      untilEnd: false, // Keep paging until the search runs out of results
+      resultCount: null, // Result count shown on the search page (until-end runs)
+      totalPages: null, // Pages the search really has, from the result count
       processedCompanies: 0,
       totalCompaniesFound: 0,
       companyQueue: [],
       currentCompanyIndex: 0,
+      nextCompanyIndex: 0, // First queue entry not processed yet (where a resume picks up)
+      fillRates: null,
+      fillRateAlert: null,
+      runId: null, // Identifies the run; the same id in session storage means the browser was not restarted since
+      interrupted: false, // The browser was closed mid-run (the side panel offers to resume or discard it)
+      searchUrl: null, // Search results URL of the page being processed (to reopen it after a browser restart)
       errors: []
     };
     
@@ -25,8 +37,43 @@ class ScraperCoordinator {
       lastRequestTime: 0
     };
     
+    // Per-field fill-rate monitoring: pause the run when a field that is usually
+    // filled suddenly comes back empty (typically a LinkedIn markup change)
+    this.fillRateMonitor = {
+      fields: ['website', 'industry', 'headquarters', 'companySize', 'foundedYear', 'companyType', 'specialties', 'description'],
+      windowSize: 10, // Most recent companies compared against the baseline
+      minBaselineSamples: 10, // Companies needed before a baseline is trusted
+      minBaselineRate: 0.3, // Fields that are rarely filled anyway can't collapse
+      collapseRatio: 0.5, // Alert when the recent rate drops below half the baseline
+      maxStoredSamples: 500, // Older runs fade out of the stored baseline
+      storageKey: 'fill_rate_baseline'
+    };
+    
+    // Change history kept when a stored company is collected again (refresh runs)
+    this.changeTracking = {
+      fields: ['name', 'website', 'industry', 'phone', 'headquarters', 'companySize', 'foundedYear', 'companyType', 'specialties', 'tagline', 'description', 'isVerified', 'stock'],
+      maxEntries: 50 // Oldest versions are dropped beyond this
+    };
+    
+    // LinkedIn shows 10 companies per results page and at most 100 pages per search
+    this.pagination = {
+      resultsPerPage: 10,
+      maxSearchPages: 100,
+      emptyPageRetryDelay: 5000 // An empty page is read again once before it ends the run (slow render)
+    };
+    
+    // MV3 may terminate an idle worker mid-run (e.g. during a rate-limit wait). The run state is
+    // persisted after every step and this alarm wakes the worker to pick it up again
+    this.keepAlive = {
+      alarmName: 'scraper_keepalive',
+      periodInMinutes: 0.5
+    };
+    
     this.activeTabId = null;
     this.searchTabId = null;
+    this.jobActive = false; // A run is being driven by this worker instance (false after a restart)
+    this.driverActive = false; // The run loop (pages, navigation, company queue) is executing
+    this.resumePending = false; // Resumed while the loop was still winding down for a pause
   }
 
   /**
@@ -73,6 +120,22 @@ class ScraperCoordinator {
     }
   }
 
+  /**
+   * Build the URL of a given search results page by setting the page query param
+   * @param {string} url - Any LinkedIn search results URL of the search
+   * @param {number} page - Page number (1-based)
+   * @returns {string} Search URL for that page
+   */
+  buildSearchPageUrl(url, page) {
+    const urlObj = new URL(url);
+    if (page > 1) {
+      urlObj.searchParams.set('page', String(page));
+    } else {
+      urlObj.searchParams.delete('page');
+    }
+    return urlObj.toString();
+  }
+
   /**
    * Get random delay for rate limiting
    */
@@ -107,15 +170,23 @@ class ScraperCoordinator {
   /**
    * Start scraping process
    * FIXED: Now detects current page from URL and navigates forward for specified number of pages
+   * @param {number} searchTabId - Tab showing the company search results
+   * @param {number} maxPages - Number of result pages to process
+   * @param {string} mode - 'deep' (visit About pages) or 'card' (search result cards only)
+   * @param {Object} options - {reviewCandidates: stop for review between the sweep and the About page visits,
+   *   startPage: jump to this page first, endPage: last page (instead of maxPages),
+   *   untilEnd: page until the search runs out of results (instead of maxPages / endPage)}
    */
-  async startScraping(searchTabId, maxPages = 5) {
+  async startScraping(searchTabId, maxPages = 5, mode = 'deep', options = {}) {
     console.log('Scraper: Starting scraping process...');
     
     // Get the current tab to detect starting page number
     let startPage = 1;
+    let searchUrl = null;
     try {
       const currentTab = await chrome.tabs.get(searchTabId);
       if (currentTab && currentTab.url) {
+        searchUrl = currentTab.url;
         // First try to extract from URL
         startPage = this.extractPageNumberFromUrl(currentTab.url);
         
@@ -147,26 +218,66 @@ class ScraperCoordinator {
       startPage = 1;
     }
     
+    // An explicit page range overrides the page the tab is on and the page count
+    const currentPage = startPage;
+    if (Number.isInteger(options.startPage) && options.startPage > 0) {
+      startPage = options.startPage;
+    }
+    if (options.untilEnd) {
+      // Provisional until the first page shows the result count
+      maxPages = Math.max(this.pagination.maxSearchPages - startPage + 1, 1);
+    } else if (Number.isInteger(options.endPage) && options.endPage > 0) {
+      if (options.endPage < startPage) {
+        throw new Error(`End page ${options.endPage} is before start page ${startPage}`);
+      }
+      maxPages = options.endPage - startPage + 1;
+    }
+    
     this.state.isRunning = true;
     this.state.isPaused = false;
+    this.state.mode = mode;
+    this.state.phase = mode === 'deep' ? 'sweep' : null;
+    this.state.reviewCandidates = options.reviewCandidates === true;
     this.state.maxPages = maxPages; // Number of pages to process
     this.state.startPage = startPage; // Track where we started
     this.state.currentPage = startPage; // Start from current page
+    this.state.untilEnd = options.untilEnd === true;
+    this.state.resultCount = null;
+    this.state.totalPages = null;
+    this.state.searchUrl = searchUrl;
     this.state.processedCompanies = 0;
     this.state.totalCompaniesFound = 0;
     this.state.companyQueue = [];
     this.state.currentCompanyIndex = 0;
+    this.state.nextCompanyIndex = 0;
+    this.state.fillRates = { samples: 0, filled: {}, recent: [], alerts: 0, acknowledged: [] };
+    this.state.fillRateAlert = null;
     this.state.errors = [];
     this.searchTabId = searchTabId;
+    await this.beginJob();
     
-    console.log(`Scraper: Will process ${maxPages} pages starting from page ${startPage}`);
+    console.log(`Scraper: Will process ${maxPages} pages starting from page ${startPage} (${mode === 'card' ? 'search cards only' : 'About pages'})`);
     console.log(`Scraper: Target end page: ${startPage + maxPages - 1}`);
     
+    // Candidates left over from an earlier sweep (and failed visits) stay queued; finished entries are dropped
+    if (mode === 'deep') {
+      const queue = await this.getCandidateQueue();
+      queue.companies = queue.companies.filter(c => this.isOpenCandidate(c));
+      await this.saveCandidateQueue(queue);
+    }
+    
     await this.saveState();
     this.notifyUI({ action: 'scrapingStarted' });
+    this.notifyPageRange();
     
     try {
-      await this.processCurrentPage();
+      await this.driveRun(async () => {
+        // Jump to the start page of the range
+        if (startPage !== currentPage && !(await this.navigateToPage(startPage))) {
+          throw new Error(`Could not open page ${startPage} of the search results`);
+        }
+        await this.processCurrentPage();
+      });
     } catch (error) {
       console.error('Scraper: Error during scraping', error);
       this.state.errors.push(error.message);
@@ -174,6 +285,86 @@ class ScraperCoordinator {
     }
   }
 
+  /**
+   * Collect a given list of company pages (pasted URLs or slugs), without any search pagination
+   * Uses the same duplicate checks, progress messages and rate limiting as a search run
+   * @param {Array<string>} urls - LinkedIn company URLs
+   * @param {Object} options - {refresh: re-extract stored companies and update them in place instead of skipping them}
+   */
+  async startListRun(urls, options = {}) {
+    const refresh = options.refresh === true;
+    console.log(`Scraper: Starting ${refresh ? 'refresh' : 'list'} run with ${urls.length} companies...`);
+    
+    this.state.isRunning = true;
+    this.state.isPaused = false;
+    this.state.mode = 'deep';
+    this.state.phase = refresh ? 'refresh' : 'list';
+    this.state.reviewCandidates = false;
+    this.state.maxPages = 1; // The list counts as a single page
+    this.state.startPage = 1;
+    this.state.currentPage = 1;
+    this.state.untilEnd = false;
+    this.state.resultCount = null;
+    this.state.totalPages = null;
+    this.state.processedCompanies = 0;
+    this.state.totalCompaniesFound = urls.length;
+    this.state.companyQueue = [];
+    this.state.currentCompanyIndex = 0;
+    this.state.nextCompanyIndex = 0;
+    this.state.fillRates = { samples: 0, filled: {}, recent: [], alerts: 0, acknowledged: [] };
+    this.state.fillRateAlert = null;
+    this.state.errors = [];
+    this.searchTabId = null;
+    await this.beginJob();
+    
+    this.notifyUI({ action: 'scrapingStarted' });
+    this.notifyPageRange();
+    
+    // Pre-filter duplicates (stored companies and repeats within the list) before queueing;
+    // a refresh run is about stored companies, so only repeats are dropped
+    const existingCompanies = refresh ? [] : this.getDuplicateCandidates(await this.getCompanies());
+    const queuedUrls = new Set();
+    const skippedUrls = [];
+    
+    for (const url of urls) {
+      const normalizedUrl = this.normalizeUrl(url);
+      if (queuedUrls.has(normalizedUrl) || this.isDuplicateCompany({ url, name: '' }, existingCompanies)) {
+        skippedUrls.push(url);
+        continue;
+      }
+      queuedUrls.add(normalizedUrl);
+      this.state.companyQueue.push(url);
+    }
+    
+    console.log(`Scraper: List pre-filter results - Total: ${urls.length}, New: ${this.state.companyQueue.length}, Duplicates: ${skippedUrls.length}`);
+    
+    this.notifyUI({ 
+      action: 'companiesFound', 
+      count: urls.length,
+      page: this.state.currentPage
+    });
+    
+    if (skippedUrls.length > 0) {
+      this.notifyUI({ 
+        action: 'statusUpdate', 
+        status: `List: ${this.state.companyQueue.length} new, ${skippedUrls.length} skipped (already collected or listed twice)` 
+      });
+    }
+    
+    await this.saveState();
+    
+    try {
+      await this.driveRun(async () => {
+        await this.processCompanyQueue();
+        await this.finishCurrentPage();
+      });
+    } catch (error) {
+      console.error('Scraper: Error during list run', error);
+      this.state.errors.push(`${refresh ? 'Refresh' : 'List'} run: ${error.message}`);
+      await this.completeScraping();
+    }
+  }
+
   /**
    * Process current search results page
    */
@@ -192,7 +383,7 @@ class ScraperCoordinator {
     } catch (error) {
       console.error('Scraper: Failed to ensure content script on search tab', error);
       this.state.errors.push(`Page ${this.state.currentPage}: Content script injection failed`);
-      await this.completeScraping();
+      await this.endPagination();
       return;
     }
     
@@ -203,21 +394,28 @@ class ScraperCoordinator {
     
     try {
       // Extract company URLs from current page
-      const response = await this.sendMessageToTab(this.searchTabId, { 
-        action: 'extractCompanyURLs' 
-      });
+      let response = await this.requestPageCompanies();
       
-      if (!response) {
-        throw new Error('No response from content script. Make sure you are on a LinkedIn company search results page.');
-      }
-      
-      if (!response.success) {
-        const errorMsg = response.error || 'Unknown error';
-        throw new Error(`Failed to extract company URLs: ${errorMsg}`);
+      // The results may not have rendered yet: read an empty page once more before giving up on it
+      if ((response.companies || response.urls).length === 0) {
+        console.warn(`Scraper: No companies on page ${this.state.currentPage} yet, reading it again in ${this.pagination.emptyPageRetryDelay / 1000}s...`);
+        this.notifyUI({ 
+          action: 'statusUpdate', 
+          status: `No companies found on page ${this.state.currentPage} yet, checking again...` 
+        });
+        await new Promise(resolve => setTimeout(resolve, this.pagination.emptyPageRetryDelay));
+        await this.ensureContentScriptInjected(this.searchTabId);
+        response = await this.requestPageCompanies();
       }
       
-      if (!response.urls || !Array.isArray(response.urls)) {
-        throw new Error('Invalid response format from content script');
+      if (this.state.untilEnd && response.resultCount) {
+        this.applyResultCount(response.resultCount);
+      } else if (this.state.untilEnd && this.state.totalPages === null && this.state.currentPage === this.state.startPage) {
+        console.warn('Scraper: Could not read the result count, paging until the results run out');
+        this.notifyUI({ 
+          action: 'statusUpdate', 
+          status: `Could not read the result count: paging until the results run out (at most page ${this.pagination.maxSearchPages})` 
+        });
       }
       
       // Get companies data (with names if available)
@@ -233,26 +431,35 @@ class ScraperCoordinator {
         
         this.notifyUI({ 
           action: 'statusUpdate', 
-          status: `No companies found on page ${this.state.currentPage}. Moving to next page or completing...` 
+          status: `No companies found on page ${this.state.currentPage}. Treating it as the end of the results...` 
         });
         
-        // Empty queue - move to next page or stop
+        // Pages are loaded by number, so an empty page means we went past the last one
         this.state.companyQueue = [];
+        if (this.state.totalCompaniesFound === 0) {
+          this.state.errors.push(`Page ${this.state.currentPage}: No companies found. Might not be on a valid search results page.`);
+        }
+        await this.endPagination();
+        return;
       } else {
         // FIXED: Pre-filter companies (URL + NAME) to check for duplicates BEFORE adding to queue
         // This prevents opening tabs for companies that already exist
         console.log(`Scraper: Found ${companiesData.length} companies on page ${this.state.currentPage}`);
         console.log(`Scraper: Checking for duplicates (URL + Name) before adding to queue...`);
         
-        const existingCompanies = await this.getCompanies();
+        const existingCompanies = this.getDuplicateCandidates(await this.getCompanies());
+        const filterRules = await this.getFilterRules();
         const filteredCompanies = [];
         const skippedCompanies = [];
+        const excludedCompanies = [];
         
         for (const company of companiesData) {
           // Use actual company data (URL + NAME) for comprehensive duplicate checking
           const companyToCheck = {
+            ...company,
             url: company.url || company,
-            name: company.name || ''
+            name: company.name || '',
+            organizationId: company.organizationId || null
           };
           
           // FIXED: Use comprehensive duplicate check with URL, slug, AND name
@@ -262,17 +469,26 @@ class ScraperCoordinator {
             skippedCompanies.push(companyToCheck);
             console.log(`Scraper: Skipping duplicate (already exists): ${companyToCheck.url} - "${companyToCheck.name}"`);
           } else {
-            filteredCompanies.push(companyToCheck);
-            console.log(`Scraper: New company to scrape: ${companyToCheck.url} - "${companyToCheck.name}"`);
+            // User-defined include/exclude rules on the card data
+            const exclusionReason = this.checkFilterRules(companyToCheck, filterRules);
+            if (exclusionReason) {
+              excludedCompanies.push(companyToCheck);
+              console.log(`Scraper: Excluded by filter rules (${exclusionReason}): ${companyToCheck.url} - "${companyToCheck.name}"`);
+            } else {
+              filteredCompanies.push(companyToCheck);
+              console.log(`Scraper: New company to scrape: ${companyToCheck.url} - "${companyToCheck.name}"`);
+            }
           }
         }
         
-        console.log(`Scraper: Pre-filter results - Total: ${companiesData.length}, New: ${filteredCompanies.length}, Duplicates: ${skippedCompanies.length}`);
+        console.log(`Scraper: Pre-filter results - Total: ${companiesData.length}, New: ${filteredCompanies.length}, Duplicates: ${skippedCompanies.length}, Excluded by rules: ${excludedCompanies.length}`);
         
-        // Set queue to only NEW companies (extract URLs for queue)
-        this.state.companyQueue = filteredCompanies.map(c => c.url);
+        // New companies go to the candidate queue (deep runs) or straight to storage (card runs);
+        // company tabs are only opened in the deep pass
+        this.state.companyQueue = [];
         this.state.totalCompaniesFound += companiesData.length;
         this.state.currentCompanyIndex = 0;
+        this.state.nextCompanyIndex = 0;
         
         this.notifyUI({ 
           action: 'companiesFound', 
@@ -290,12 +506,24 @@ class ScraperCoordinator {
           });
         }
         
+        // Notify about companies dropped by the filter rules
+        if (excludedCompanies.length > 0) {
+          const excludedNames = excludedCompanies.slice(0, 3).map(c => c.name || 'Unknown').join(', ');
+          const moreText = excludedCompanies.length > 3 ? ` and ${excludedCompanies.length - 3} more` : '';
+          this.notifyUI({ 
+            action: 'statusUpdate', 
+            status: `Page ${this.state.currentPage}: ${excludedCompanies.length} excluded by filter rules (${excludedNames}${moreText})` 
+          });
+        }
+        
         await this.saveState();
         
         // Process only NEW companies (duplicates already filtered out)
-        if (filteredCompanies.length > 0) {
-          console.log(`Scraper: Processing ${filteredCompanies.length} new companies (all duplicate checks passed)`);
-          await this.processCompanyQueue();
+        if (filteredCompanies.length > 0 && this.state.mode === 'card') {
+          await this.saveCardRecords(filteredCompanies);
+        } else if (filteredCompanies.length > 0) {
+          console.log(`Scraper: Queueing ${filteredCompanies.length} new companies (all duplicate checks passed)`);
+          await this.queueCandidates(filteredCompanies);
         } else {
           console.log(`Scraper: All companies on page ${this.state.currentPage} already exist, moving to next page...`);
           this.notifyUI({ 
@@ -305,20 +533,7 @@ class ScraperCoordinator {
         }
       }
       
-      // FIXED: Check user's maxPages requirement FIRST before checking LinkedIn pagination
-      // FIXED: Check if we've processed the requested number of pages from the starting page
-      // Calculate target end page: startPage + maxPages - 1
-      // Example: startPage=10, maxPages=5 → process pages 10,11,12,13,14 (5 pages total)
-      const targetEndPage = this.state.startPage + this.state.maxPages - 1;
-      const pagesProcessed = this.state.currentPage - this.state.startPage + 1;
-      
-      if (this.state.isRunning && !this.state.isPaused && pagesProcessed < this.state.maxPages) {
-        console.log(`Scraper: Page ${this.state.currentPage} complete. Processed ${pagesProcessed}/${this.state.maxPages} pages. Target: page ${targetEndPage}. Attempting to go to next page...`);
-        await this.goToNextPage();
-      } else {
-        console.log(`Scraper: Reached page limit. Started at page ${this.state.startPage}, processed ${pagesProcessed} pages, reached page ${this.state.currentPage}. Target was page ${targetEndPage}. Completing scraping...`);
-        await this.completeScraping();
-      }
+      await this.finishCurrentPage();
     } catch (error) {
       console.error('Scraper: Error processing page', error);
       const errorMessage = error.message || 'Unknown error occurred';
@@ -329,15 +544,263 @@ class ScraperCoordinator {
         status: `Error: ${errorMessage}` 
       });
       
+      await this.endPagination();
+    }
+  }
+
+  /**
+   * Ask the content script for the companies on the current results page
+   * @returns {Promise<Object>} Content script response ({urls, companies, resultCount})
+   */
+  async requestPageCompanies() {
+    const response = await this.sendMessageToTab(this.searchTabId, { 
+      action: 'extractCompanyURLs' 
+    });
+    
+    if (!response) {
+      throw new Error('No response from content script. Make sure you are on a LinkedIn company search results page.');
+    }
+    
+    if (!response.success) {
+      const errorMsg = response.error || 'Unknown error';
+      throw new Error(`Failed to extract company URLs: ${errorMsg}`);
+    }
+    
+    if (!response.urls || !Array.isArray(response.urls)) {
+      throw new Error('Invalid response format from content script');
+    }
+    
+    return response;
+  }
+
+  /**
+   * Work out the real number of result pages from the result count (until-end runs)
+   * and end the run on the last one
+   * @param {number} resultCount - Result count shown on the search page
+   */
+  applyResultCount(resultCount) {
+    const totalPages = Math.min(Math.ceil(resultCount / this.pagination.resultsPerPage), this.pagination.maxSearchPages);
+    if (totalPages === this.state.totalPages) return;
+    
+    this.state.resultCount = resultCount;
+    this.state.totalPages = totalPages;
+    // Never below the pages already processed
+    this.state.maxPages = Math.max(totalPages, this.state.currentPage) - this.state.startPage + 1;
+    
+    console.log(`Scraper: Search has ${resultCount} results, ${totalPages} pages; processing pages ${this.state.startPage}-${this.state.startPage + this.state.maxPages - 1}`);
+    this.notifyUI({ 
+      action: 'statusUpdate', 
+      status: `${resultCount.toLocaleString()} results: processing pages ${this.state.startPage}-${this.state.startPage + this.state.maxPages - 1}` 
+    });
+    this.notifyPageRange();
+  }
+
+  /**
+   * Tell the side panel which pages the run covers (for the Page Navigation progress)
+   */
+  notifyPageRange() {
+    this.notifyUI({ 
+      action: 'pageRangeUpdated', 
+      startPage: this.state.startPage,
+      maxPages: this.state.maxPages,
+      totalPages: this.state.totalPages,
+      resultCount: this.state.resultCount
+    });
+  }
+
+  /**
+   * Move on once the current page (or the deep pass queue) is done: next page, the deep pass, or complete the run
+   * While paused the run is left as is; resumeScraping() calls this again
+   */
+  async finishCurrentPage() {
+    if (this.state.isRunning && this.state.isPaused) {
+      console.log(`Scraper: Paused on page ${this.state.currentPage}, waiting for resume...`);
+      return;
+    }
+    
+    if (['deep', 'list', 'refresh'].includes(this.state.phase)) {
+      await this.completeScraping();
+      return;
+    }
+    
+    // FIXED: Check user's maxPages requirement FIRST before checking LinkedIn pagination
+    // FIXED: Check if we've processed the requested number of pages from the starting page
+    // Calculate target end page: startPage + maxPages - 1
+    // Example: startPage=10, maxPages=5 → process pages 10,11,12,13,14 (5 pages total)
+    const targetEndPage = this.state.startPage + this.state.maxPages - 1;
+    const pagesProcessed = this.state.currentPage - this.state.startPage + 1;
+    
+    if (this.state.isRunning && pagesProcessed < this.state.maxPages) {
+      console.log(`Scraper: Page ${this.state.currentPage} complete. Processed ${pagesProcessed}/${this.state.maxPages} pages. Target: page ${targetEndPage}. Attempting to go to next page...`);
+      await this.goToNextPage();
+    } else {
+      console.log(`Scraper: Reached page limit. Started at page ${this.state.startPage}, processed ${pagesProcessed} pages, reached page ${this.state.currentPage}. Target was page ${targetEndPage}. Completing scraping...`);
+      await this.endPagination();
+    }
+  }
+
+  /**
+   * Pagination is over (page limit, last page or an error): card runs complete,
+   * deep runs move on to the About page visits (or stop for review first)
+   */
+  async endPagination() {
+    if (!this.state.isRunning || this.state.mode !== 'deep' || this.state.phase !== 'sweep') {
+      await this.completeScraping();
+      return;
+    }
+    
+    const queue = await this.getCandidateQueue();
+    const pending = queue.companies.filter(c => this.isOpenCandidate(c)).length;
+    console.log(`Scraper: Sweep finished on page ${this.state.currentPage}, ${pending} candidates queued`);
+    
+    if (this.state.reviewCandidates) {
+      this.state.phase = 'review';
+      await this.completeScraping();
+      this.notifyUI({ action: 'candidatesReady', pending });
+      return;
+    }
+    
+    await this.runDeepPass();
+  }
+
+  /**
+   * Add new companies from a results page to the persisted candidate queue
+   * @param {Array} companies - Companies that passed the duplicate check (with card data)
+   */
+  async queueCandidates(companies) {
+    const queue = await this.getCandidateQueue();
+    const queuedUrls = new Set(queue.companies.map(c => this.normalizeUrl(c.url)));
+    
+    for (const company of companies) {
+      const normalizedUrl = this.normalizeUrl(company.url);
+      if (queuedUrls.has(normalizedUrl)) {
+        continue;
+      }
+      queuedUrls.add(normalizedUrl);
+      
+      queue.companies.push({
+        url: company.url,
+        name: company.name || '',
+        organizationId: company.organizationId || null,
+        industry: company.industry || 'N/A',
+        location: company.location || 'N/A',
+        followers: typeof company.followers === 'number' ? company.followers : null,
+        page: this.state.currentPage,
+        status: 'pending', // 'pending', 'done', 'skipped' or 'failed'
+        attempts: 0 // Failed About page visits
+      });
+    }
+    
+    await this.saveCandidateQueue(queue);
+    this.notifyUI({ 
+      action: 'candidatesQueued', 
+      pending: queue.companies.filter(c => this.isOpenCandidate(c)).length 
+    });
+  }
+
+  /**
+   * Start the About page visits for a reviewed candidate queue (from the side panel)
+   */
+  async startDeepPass() {
+    const queue = await this.getCandidateQueue();
+    if (!queue.companies.some(c => this.isOpenCandidate(c))) {
+      throw new Error('The candidate queue is empty');
+    }
+    
+    this.state.isRunning = true;
+    this.state.isPaused = false;
+    this.state.mode = 'deep';
+    this.state.processedCompanies = 0;
+    this.state.totalCompaniesFound = 0;
+    this.state.fillRates = { samples: 0, filled: {}, recent: [], alerts: 0, acknowledged: [] };
+    this.state.fillRateAlert = null;
+    this.state.errors = [];
+    await this.beginJob();
+    
+    this.notifyUI({ action: 'scrapingStarted' });
+    await this.driveRun(() => this.runDeepPass());
+  }
+
+  /**
+   * Phase two: visit the About page of every pending candidate (failed visits are tried again)
+   */
+  async runDeepPass() {
+    const queue = await this.getCandidateQueue();
+    const pending = queue.companies.filter(c => this.isOpenCandidate(c));
+    
+    this.state.phase = 'deep';
+    this.state.companyQueue = pending.map(c => c.url);
+    this.state.totalCompaniesFound = Math.max(this.state.totalCompaniesFound, pending.length);
+    this.state.currentCompanyIndex = 0;
+    this.state.nextCompanyIndex = 0;
+    await this.saveState();
+    
+    console.log(`Scraper: Deep pass - visiting ${pending.length} About pages`);
+    this.notifyUI({ 
+      action: 'statusUpdate', 
+      status: `Visiting ${pending.length} About pages...` 
+    });
+    
+    try {
+      await this.processCompanyQueue();
+      await this.finishCurrentPage();
+    } catch (error) {
+      console.error('Scraper: Error during deep pass', error);
+      this.state.errors.push(`Deep pass: ${error.message}`);
       await this.completeScraping();
     }
   }
 
+  /**
+   * Record the outcome of a deep pass visit in the candidate queue
+   * @param {string} url - Candidate URL
+   * @param {string} status - 'done', 'skipped' or 'failed'
+   */
+  async markCandidate(url, status) {
+    const queue = await this.getCandidateQueue();
+    const candidate = queue.companies.find(c => c.url === url);
+    if (candidate) {
+      candidate.status = status;
+      if (status === 'failed') {
+        candidate.attempts = (candidate.attempts || 0) + 1;
+      }
+      await this.saveCandidateQueue(queue);
+    }
+  }
+
+  /**
+   * Whether a candidate still needs an About page visit (not visited yet, or the visit failed)
+   * @param {Object} candidate - Candidate queue entry
+   * @returns {boolean}
+   */
+  isOpenCandidate(candidate) {
+    return candidate.status === 'pending' || candidate.status === 'failed';
+  }
+
+  /**
+   * Get the persisted candidate queue
+   * @returns {Promise<Object>} {companies: [{url, name, organizationId, industry, location, followers, page, status, attempts}], updatedAt}
+   */
+  async getCandidateQueue() {
+    const result = await chrome.storage.local.get('candidate_queue');
+    return result.candidate_queue || { companies: [], updatedAt: null };
+  }
+
+  /**
+   * Persist the candidate queue
+   * @param {Object} queue - Candidate queue
+   */
+  async saveCandidateQueue(queue) {
+    queue.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ candidate_queue: queue });
+  }
+
   /**
    * Process queue of companies
+   * @param {number} startIndex - Queue index to start from (used when resuming)
    */
-  async processCompanyQueue() {
-    for (let i = 0; i < this.state.companyQueue.length; i++) {
+  async processCompanyQueue(startIndex = 0) {
+    for (let i = startIndex; i < this.state.companyQueue.length; i++) {
       if (!this.state.isRunning || this.state.isPaused) {
         break;
       }
@@ -345,22 +808,31 @@ class ScraperCoordinator {
       const companyUrl = this.state.companyQueue[i];
       this.state.currentCompanyIndex = i;
       
-      await this.processCompany(companyUrl);
+      const outcome = await this.processCompany(companyUrl);
+      // A visit cut short by Stop stays pending for the next deep pass
+      if (this.state.phase === 'deep' && this.state.isRunning) {
+        await this.markCandidate(companyUrl, outcome);
+      }
+      this.state.nextCompanyIndex = i + 1;
+      await this.saveState();
     }
   }
 
   /**
    * Process individual company
    * FIXED: Final duplicate check BEFORE opening tab (safety net)
+   * @returns {Promise<string>} 'done', 'skipped' (already collected) or 'failed'
    */
   async processCompany(companyUrl) {
     console.log(`Scraper: Processing company ${this.state.currentCompanyIndex + 1}/${this.state.companyQueue.length}`);
     
     // FIXED: Final duplicate check BEFORE opening tab (safety net)
     // This ensures we never open a tab for a duplicate, even if pre-filter missed something
-    const existingCompanies = await this.getCompanies();
+    // Refresh runs visit stored companies on purpose and update them in place
+    const isRefresh = this.state.phase === 'refresh';
+    const existingCompanies = this.getDuplicateCandidates(await this.getCompanies());
     const tempCompany = { url: companyUrl, name: '' };
-    const isDuplicate = this.isDuplicateCompany(tempCompany, existingCompanies);
+    const isDuplicate = !isRefresh && this.isDuplicateCompany(tempCompany, existingCompanies);
     
     if (isDuplicate) {
       console.log(`Scraper: Final check - Duplicate detected before opening tab: ${companyUrl}`);
@@ -373,7 +845,7 @@ class ScraperCoordinator {
       });
       
       await this.saveState();
-      return; // Skip opening tab
+      return 'skipped'; // Skip opening tab
     }
     
     this.notifyUI({ 
@@ -401,6 +873,8 @@ class ScraperCoordinator {
       });
       
       this.activeTabId = tab.id;
+      // Persist the tab so a restarted worker can close it
+      await this.saveState();
       
       // Wait for page to load
       await this.waitForTabLoad(tab.id);
@@ -410,24 +884,39 @@ class ScraperCoordinator {
         action: 'extractCompanyData' 
       });
       
+      let outcome = 'done';
       if (response && response.success && response.data) {
+        response.data.depth = 'full';
+        
         // Save company data (with duplicate check as final safety net)
-        const wasAdded = await this.saveCompanyData(response.data);
+        const saveResult = await this.saveCompanyData(response.data, isRefresh ? { replaceUrl: companyUrl } : {});
+        
+        if (saveResult === 'failed') {
+          throw new Error('No company data on the About page, stored record kept');
+        }
         
-        if (wasAdded) {
+        if (saveResult !== 'duplicate') {
           this.state.processedCompanies++;
           
           this.notifyUI({ 
             action: 'companyScraped', 
             company: response.data,
-            processed: this.state.processedCompanies
+            processed: this.state.processedCompanies,
+            replaced: saveResult === 'upgraded' || saveResult === 'updated'
           });
           
           console.log(`Scraper: Successfully scraped ${response.data.name}`);
+          
+          this.recordFillRates(response.data);
+          const collapsedFields = await this.checkFillRates();
+          if (collapsedFields.length > 0) {
+            await this.raiseFillRateAlert(collapsedFields);
+          }
         } else {
           // Duplicate (shouldn't happen since we pre-filtered, but safety check)
           this.state.processedCompanies++;
           console.warn(`Scraper: Unexpected duplicate detected (should have been pre-filtered): ${response.data.name}`);
+          outcome = 'skipped';
         }
       } else {
         throw new Error('Failed to extract company data');
@@ -438,6 +927,7 @@ class ScraperCoordinator {
       this.activeTabId = null;
       
       await this.saveState();
+      return outcome;
       
     } catch (error) {
       console.error('Scraper: Error processing company', error);
@@ -451,16 +941,102 @@ class ScraperCoordinator {
           // Tab might already be closed
         }
         this.activeTabId = null;
+        await this.saveState();
+      }
+      return 'failed';
+    }
+  }
+
+  /**
+   * Save the card-level data of a results page without visiting any About page
+   * @param {Array} companies - New companies from the page {url, name, organizationId, industry, location, followers}
+   */
+  async saveCardRecords(companies) {
+    console.log(`Scraper: Saving ${companies.length} search cards (no About page visits)`);
+    
+    for (const company of companies) {
+      if (!this.state.isRunning) {
+        break;
+      }
+      
+      const record = this.buildCardRecord(company);
+      if (await this.saveCompanyData(record) === 'duplicate') {
+        continue;
       }
+      
+      this.state.processedCompanies++;
+      this.notifyUI({ 
+        action: 'companyScraped', 
+        company: record,
+        processed: this.state.processedCompanies
+      });
     }
+    
+    await this.saveState();
+  }
+
+  /**
+   * Turn a search result card into a company record with the regular record shape
+   * Fields the card doesn't show stay empty until a deep pass visits the About page
+   * @param {Object} company - Card data {url, name, organizationId, industry, location, followers}
+   * @returns {Object} Company record marked depth: 'card'
+   */
+  buildCardRecord(company) {
+    const industry = company.industry && company.industry !== 'N/A' ? company.industry : 'N/A';
+    const location = company.location && company.location !== 'N/A' ? company.location : 'N/A';
+    const followers = typeof company.followers === 'number' ? company.followers : null;
+    
+    // Provenance for the fields the card provided
+    const fields = {};
+    if (industry !== 'N/A') fields.industry = { strategy: 'search-card', selector: null, confidence: 'medium' };
+    if (location !== 'N/A') fields.headquarters = { strategy: 'search-card', selector: null, confidence: 'low' };
+    if (followers !== null) fields.followers = { strategy: 'search-card', selector: null, confidence: 'medium' };
+    
+    return {
+      name: company.name || 'N/A',
+      website: 'N/A',
+      domain: null,
+      industry: industry,
+      phone: 'N/A',
+      phoneE164: null,
+      phoneCountry: null,
+      phoneSource: null,
+      headquarters: location,
+      headquartersCity: null,
+      headquartersRegion: null,
+      headquartersCountry: null,
+      locations: [],
+      companySize: 'N/A',
+      companySizeMin: null,
+      companySizeMax: null,
+      associatedMembers: null,
+      foundedYear: null,
+      companyType: 'N/A',
+      specialties: [],
+      tagline: 'N/A',
+      description: 'N/A',
+      organizationId: company.organizationId || null,
+      slug: this.extractCompanySlug(company.url),
+      followers: followers,
+      logoUrl: 'N/A',
+      isVerified: false,
+      stock: null,
+      affiliatedPages: [],
+      url: company.url.split('?')[0].replace(/\/$/, ''),
+      timestamp: new Date().toISOString(),
+      depth: 'card',
+      _meta: { language: null, fields }
+    };
   }
 
   /**
    * Go to next page with improved navigation handling
+   * The next page is loaded directly through the page query param; clicking Next is the fallback
    * FIXED: Now attempts pagination even if button detection is unreliable
    */
   async goToNextPage() {
-    console.log(`Scraper: Attempting to move to page ${this.state.currentPage + 1}...`);
+    const targetPage = this.state.currentPage + 1;
+    console.log(`Scraper: Attempting to move to page ${targetPage}...`);
     
     try {
       // Ensure search tab is still valid
@@ -469,73 +1045,30 @@ class ScraperCoordinator {
         throw new Error('Search tab is no longer valid');
       }
       
-      const initialUrl = searchTab.url;
-      
-      // Activate the search tab to ensure it's ready
-      await chrome.tabs.update(this.searchTabId, { active: true });
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Ensure content script is injected
-      await this.ensureContentScriptInjected(this.searchTabId);
-      
-      // Check if next page button exists (but don't stop if detection fails)
-      const checkResponse = await this.sendMessageToTab(this.searchTabId, { 
-        action: 'checkPagination' 
-      });
-      
-      let hasNextButton = false;
-      if (checkResponse && checkResponse.success && checkResponse.hasNextPage) {
-        hasNextButton = true;
-        console.log('Scraper: Next page button detected');
-      } else {
-        console.warn('Scraper: Next page button not detected, but will attempt navigation anyway');
-        console.warn('Scraper: User requested multiple pages, so trying to navigate even without visible button');
-      }
-      
-      // FIXED: Attempt to click next page button regardless of detection
-      // The user specified they want multiple pages, so we should try
-      console.log('Scraper: Attempting to click next page button...');
-      
-      const clickResponse = await this.sendMessageToTab(this.searchTabId, { 
-        action: 'clickNextPage' 
-      });
-      
-      if (!clickResponse || !clickResponse.success) {
-        // Button click failed - this might mean we've reached the actual last page
-        console.error('Scraper: Failed to click next page button:', clickResponse?.error || 'No response');
-        console.log(`Scraper: Cannot proceed to page ${this.state.currentPage + 1}. This might be the last available page.`);
-        
-        // Check if we found any companies on this page
-        if (this.state.companyQueue.length === 0 && this.state.processedCompanies === 0) {
-          throw new Error('No pagination button found and no companies extracted. Might not be on a valid search results page.');
-        }
-        
-        // We've truly reached the end of available pages
-        console.log('Scraper: Reached the last available page on LinkedIn.');
-        await this.completeScraping();
-        return;
-      }
-      
-      console.log('Scraper: Next page button clicked successfully, waiting for navigation...');
-      
-      // Increment page counter AFTER successful click
-      this.state.currentPage++;
-      await this.saveState();
-      
-      // Wait for URL to change (LinkedIn SPA navigation)
+      let navigated = false;
       try {
-        await this.waitForTabNavigation(this.searchTabId, initialUrl, 20000);
-        console.log('Scraper: Navigation completed successfully');
+        navigated = await this.navigateToPage(targetPage);
       } catch (navError) {
-        console.warn('Scraper: Navigation timeout, but will check if page changed...', navError);
+        console.warn(`Scraper: Direct navigation to page ${targetPage} failed:`, navError);
       }
       
-      // Wait for content to load
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Ensure content script is still injected after navigation
-      await this.ensureContentScriptInjected(this.searchTabId);
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (!navigated) {
+        console.warn(`Scraper: Falling back to the Next button for page ${targetPage}`);
+        // The failed load may have left the tab on another URL; wait for a change from where it is now
+        const fallbackTab = await chrome.tabs.get(this.searchTabId);
+        const clicked = await this.clickToNextPage(fallbackTab.url);
+        if (!clicked) {
+          // Check if we found any companies so far
+          if (this.state.totalCompaniesFound === 0) {
+            throw new Error('No pagination button found and no companies extracted. Might not be on a valid search results page.');
+          }
+          
+          // We've truly reached the end of available pages
+          console.log('Scraper: Reached the last available page on LinkedIn.');
+          await this.endPagination();
+          return;
+        }
+      }
       
       // Verify we're still on a search results page
       const updatedTab = await chrome.tabs.get(this.searchTabId);
@@ -544,6 +1077,26 @@ class ScraperCoordinator {
         throw new Error('Navigation took us away from search results page');
       }
       
+      // After a Next click the page number comes from the URL: the click may not have started from the expected page
+      let loadedPage = targetPage;
+      if (!navigated) {
+        loadedPage = this.extractPageNumberFromUrl(updatedTab.url);
+        if (loadedPage <= this.state.currentPage) {
+          console.warn(`Scraper: Next button led to page ${loadedPage}, not past page ${this.state.currentPage}. Ending pagination.`);
+          this.state.errors.push(`Pagination to page ${targetPage}: the Next button led to page ${loadedPage}`);
+          await this.endPagination();
+          return;
+        }
+        if (loadedPage !== targetPage) {
+          console.warn(`Scraper: Next button led to page ${loadedPage} instead of page ${targetPage}`);
+        }
+      }
+      
+      // Increment page counter only once the new page is showing
+      this.state.currentPage = loadedPage;
+      this.state.searchUrl = updatedTab.url;
+      await this.saveState();
+      
       console.log(`Scraper: Successfully navigated to page ${this.state.currentPage}, URL: ${updatedTab.url}`);
       
       // Process new page
@@ -551,17 +1104,105 @@ class ScraperCoordinator {
       
     } catch (error) {
       console.error('Scraper: Error navigating to next page', error);
-      this.state.errors.push(`Pagination to page ${this.state.currentPage + 1}: ${error.message}`);
+      this.state.errors.push(`Pagination to page ${targetPage}: ${error.message}`);
       
       this.notifyUI({ 
         action: 'statusUpdate', 
         status: `Navigation error: ${error.message}` 
       });
       
-      // Cannot continue - complete scraping with what we have
+      // Cannot continue - complete scraping (or run the deep pass) with what we have
       console.log('Scraper: Cannot continue pagination, completing with collected data...');
-      await this.completeScraping();
+      await this.endPagination();
+    }
+  }
+
+  /**
+   * Load a search results page directly by setting the page query param on the search tab's URL
+   * @param {number} page - Page number to load
+   * @returns {Promise<boolean>} True if the tab ended up on that page of the search
+   */
+  async navigateToPage(page) {
+    const searchTab = await chrome.tabs.get(this.searchTabId);
+    const targetUrl = this.buildSearchPageUrl(searchTab.url, page);
+    
+    if (searchTab.url !== targetUrl) {
+      console.log(`Scraper: Loading page ${page} directly: ${targetUrl}`);
+      await chrome.tabs.update(this.searchTabId, { url: targetUrl });
+      await this.waitForTabNavigation(this.searchTabId, searchTab.url, 20000);
+      await this.waitForTabLoad(this.searchTabId);
+    }
+    
+    await this.ensureContentScriptInjected(this.searchTabId);
+    
+    const loadedTab = await chrome.tabs.get(this.searchTabId);
+    const loadedPage = this.extractPageNumberFromUrl(loadedTab.url);
+    if (!loadedTab.url || !loadedTab.url.includes('/search/results/companies/') || loadedPage !== page) {
+      console.warn(`Scraper: Expected page ${page}, but the tab shows page ${loadedPage}: ${loadedTab.url}`);
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Go to the next results page by clicking LinkedIn's Next button
+   * @param {string} initialUrl - Search tab URL before the click
+   * @returns {Promise<boolean>} False if there is no Next button to click (last page)
+   */
+  async clickToNextPage(initialUrl) {
+    // Activate the search tab to ensure it's ready
+    await chrome.tabs.update(this.searchTabId, { active: true });
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    // Ensure content script is injected
+    await this.ensureContentScriptInjected(this.searchTabId);
+    
+    // Check if next page button exists (but don't stop if detection fails)
+    const checkResponse = await this.sendMessageToTab(this.searchTabId, { 
+      action: 'checkPagination' 
+    });
+    
+    if (checkResponse && checkResponse.success && checkResponse.hasNextPage) {
+      console.log('Scraper: Next page button detected');
+    } else {
+      console.warn('Scraper: Next page button not detected, but will attempt navigation anyway');
+      console.warn('Scraper: User requested multiple pages, so trying to navigate even without visible button');
+    }
+    
+    // FIXED: Attempt to click next page button regardless of detection
+    // The user specified they want multiple pages, so we should try
+    console.log('Scraper: Attempting to click next page button...');
+    
+    const clickResponse = await this.sendMessageToTab(this.searchTabId, { 
+      action: 'clickNextPage' 
+    });
+    
+    if (!clickResponse || !clickResponse.success) {
+      // Button click failed - this might mean we've reached the actual last page
+      console.error('Scraper: Failed to click next page button:', clickResponse?.error || 'No response');
+      console.log(`Scraper: Cannot proceed to page ${this.state.currentPage + 1}. This might be the last available page.`);
+      return false;
     }
+    
+    console.log('Scraper: Next page button clicked successfully, waiting for navigation...');
+    
+    // Wait for URL to change (LinkedIn SPA navigation)
+    try {
+      await this.waitForTabNavigation(this.searchTabId, initialUrl, 20000);
+      console.log('Scraper: Navigation completed successfully');
+    } catch (navError) {
+      console.warn('Scraper: Navigation timeout, but will check if page changed...', navError);
+    }
+    
+    // Wait for content to load
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
+    // Ensure content script is still injected after navigation
+    await this.ensureContentScriptInjected(this.searchTabId);
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    
+    return true;
   }
 
   /**
@@ -619,6 +1260,7 @@ class ScraperCoordinator {
     // Mark as no longer running
     this.state.isRunning = false;
     this.state.isPaused = false;
+    await this.endJob();
     
     // Close active company tab if any
     if (this.activeTabId) {
@@ -633,6 +1275,7 @@ class ScraperCoordinator {
     
     // Save final state
     await this.saveState();
+    await this.updateFillRateBaseline();
     console.log('Scraper: Final state saved');
     
     // Prepare completion stats
@@ -665,6 +1308,7 @@ class ScraperCoordinator {
     // Mark as stopped
     this.state.isRunning = false;
     this.state.isPaused = false;
+    await this.endJob();
     
     // Close active company tab if any
     if (this.activeTabId) {
@@ -676,44 +1320,385 @@ class ScraperCoordinator {
       this.activeTabId = null;
     }
     
-    // Save state immediately
-    await this.saveState();
+    // Save state immediately
+    await this.saveState();
+    
+    // Notify UI immediately
+    this.notifyUI({ 
+      action: 'scrapingStopped', 
+      stats: {
+        totalProcessed: this.state.processedCompanies,
+        totalFound: this.state.totalCompaniesFound,
+        pagesScraped: this.state.currentPage,
+        errors: this.state.errors.length
+      }
+    });
+    
+    console.log('Scraper: Stop complete, state reset');
+  }
+
+  /**
+   * Pause scraping
+   */
+  async pauseScraping() {
+    this.state.isPaused = true;
+    await this.saveState();
+    this.notifyUI({ action: 'scrapingPaused' });
+  }
+
+  /**
+   * Resume scraping
+   */
+  async resumeScraping() {
+    this.state.isPaused = false;
+    
+    // Resuming after a fill-rate alert means "continue anyway": stop watching those fields
+    // for the rest of the run and start a fresh comparison window
+    if (this.state.fillRateAlert) {
+      this.state.fillRates.acknowledged.push(...this.state.fillRateAlert.fields.map(f => f.field));
+      this.state.fillRates.recent = [];
+      this.state.fillRateAlert = null;
+    }
+    
+    await this.saveState();
+    this.notifyUI({ action: 'scrapingResumed' });
+    
+    if (!this.state.isRunning) {
+      return;
+    }
+    this.jobActive = true;
+    
+    // The loop may still be finishing a page, a navigation or a company: it either carries on
+    // by itself or, if it already stopped for the pause, driveRun() picks the run up after it
+    if (this.driverActive) {
+      this.resumePending = true;
+      return;
+    }
+    
+    try {
+      await this.driveRun(() => this.continueRun());
+    } catch (error) {
+      console.error('Scraper: Error resuming run', error);
+      this.state.errors.push(`Resume: ${error.message}`);
+      await this.completeScraping();
+    }
+  }
+
+  /**
+   * Run the page / company loop of a run; only one loop drives a run at a time
+   * Pause makes the loop return at its next check. A resume that arrives before that lets
+   * the same loop carry on; one that arrives after it continues the run here
+   * @param {Function} task - Loop to run
+   */
+  async driveRun(task) {
+    if (this.driverActive) {
+      console.warn('Scraper: Run loop already active, not starting another one');
+      return;
+    }
+    
+    this.driverActive = true;
+    try {
+      await task();
+      while (this.resumePending && this.state.isRunning && !this.state.isPaused) {
+        this.resumePending = false;
+        await this.continueRun();
+      }
+    } finally {
+      this.driverActive = false;
+      this.resumePending = false;
+    }
+  }
+
+  /**
+   * Continue a run from the persisted position: queue runs with the next company,
+   * search runs by processing the current results page again (duplicates are skipped)
+   */
+  async continueRun() {
+    if (['deep', 'list', 'refresh'].includes(this.state.phase)) {
+      await this.processCompanyQueue(this.state.nextCompanyIndex);
+      await this.finishCurrentPage();
+    } else {
+      await this.resumePagination();
+    }
+  }
+
+  /**
+   * Mark a new run as driven by this worker: tag it for restart detection and start the keep-alive alarm
+   */
+  async beginJob() {
+    this.jobActive = true;
+    this.state.runId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.state.interrupted = false;
+    await chrome.storage.session.set({ scraper_run_id: this.state.runId });
+    await chrome.alarms.create(this.keepAlive.alarmName, { periodInMinutes: this.keepAlive.periodInMinutes });
+  }
+
+  /**
+   * The run is over (completed or stopped): no more wake-ups
+   */
+  async endJob() {
+    this.jobActive = false;
+    await chrome.alarms.clear(this.keepAlive.alarmName);
+  }
+
+  /**
+   * Continue a run whose worker was terminated, from the persisted state
+   * Called on worker startup and by the keep-alive alarm; does nothing while this worker drives the run
+   */
+  async resumeInterruptedJob() {
+    if (this.jobActive || !this.state.isRunning || this.state.isPaused) {
+      return;
+    }
+    this.jobActive = true;
+    
+    console.log(`Scraper: Worker restarted mid-run, resuming (phase: ${this.state.phase || this.state.mode}, page ${this.state.currentPage}, company ${this.state.nextCompanyIndex + 1}/${this.state.companyQueue.length})`);
+    await chrome.alarms.create(this.keepAlive.alarmName, { periodInMinutes: this.keepAlive.periodInMinutes });
+    
+    // The company tab that was open when the worker stopped is stale; that company is visited again
+    if (this.activeTabId) {
+      try {
+        await chrome.tabs.remove(this.activeTabId);
+      } catch (e) {
+        // Tab might already be closed
+      }
+      this.activeTabId = null;
+    }
+    
+    this.notifyUI({ 
+      action: 'statusUpdate', 
+      status: `Resuming after a service worker restart (page ${this.state.currentPage})...` 
+    });
+    
+    try {
+      await this.driveRun(() => this.continueRun());
+    } catch (error) {
+      console.error('Scraper: Error resuming interrupted run', error);
+      this.state.errors.push(`Resume: ${error.message}`);
+      await this.completeScraping();
+    }
+  }
+
+  /**
+   * Pick up a search run on the results page it was processing
+   * Pages are processed idempotently (duplicates are skipped), so the page is simply processed again
+   */
+  async resumePagination() {
+    let searchTab = null;
+    try {
+      searchTab = await chrome.tabs.get(this.searchTabId);
+    } catch (error) {
+      // Tab was closed
+    }
+    
+    if (!searchTab || !searchTab.url || !searchTab.url.includes('/search/results/companies/')) {
+      this.state.errors.push(`Page ${this.state.currentPage}: Search tab is no longer available`);
+      await this.endPagination();
+      return;
+    }
+    
+    // The worker may have stopped between the page click and saving the new page number
+    if (/[?&]page=\d+/.test(searchTab.url)) {
+      this.state.currentPage = this.extractPageNumberFromUrl(searchTab.url);
+    }
+    this.state.searchUrl = searchTab.url;
+    
+    await this.saveState();
+    await this.processCurrentPage();
+  }
+
+  /**
+   * Resume a run that was interrupted by a browser restart (from the side panel)
+   * Search runs reopen the results page they were on; queue runs continue with the next company
+   */
+  async resumeInterruptedRun() {
+    if (!this.state.interrupted) {
+      throw new Error('There is no interrupted run to resume');
+    }
+    
+    const onResultsPage = !['deep', 'list', 'refresh'].includes(this.state.phase);
+    let searchTabId = null;
+    
+    if (onResultsPage) {
+      if (!this.state.searchUrl) {
+        throw new Error('The search URL of the interrupted run is unknown');
+      }
+      
+      const pageUrl = this.buildSearchPageUrl(this.state.searchUrl, this.state.currentPage);
+      console.log(`Scraper: Reopening page ${this.state.currentPage} of the interrupted search: ${pageUrl}`);
+      const tab = await chrome.tabs.create({ url: pageUrl, active: true });
+      await this.waitForTabLoad(tab.id);
+      searchTabId = tab.id;
+    }
+    
+    this.state.isRunning = true;
+    this.state.isPaused = false;
+    this.state.fillRateAlert = null;
+    this.searchTabId = searchTabId;
+    await this.beginJob();
+    await this.saveState();
+    
+    this.notifyUI({ action: 'scrapingStarted' });
+    this.notifyPageRange();
+    
+    try {
+      await this.driveRun(async () => {
+        if (onResultsPage) {
+          await this.processCurrentPage();
+        } else {
+          await this.processCompanyQueue(this.state.nextCompanyIndex);
+          await this.finishCurrentPage();
+        }
+      });
+    } catch (error) {
+      console.error('Scraper: Error resuming interrupted run', error);
+      this.state.errors.push(`Resume: ${error.message}`);
+      await this.completeScraping();
+    }
+  }
+
+  /**
+   * Drop an interrupted run; pending candidates stay in the candidate queue
+   */
+  async discardInterruptedRun() {
+    this.state.interrupted = false;
+    await this.saveState();
+  }
+
+  /**
+   * Check whether a field value counts as filled for fill-rate monitoring
+   * @param {*} value - Company field value
+   * @returns {boolean} False for 'N/A', null, empty strings and empty arrays
+   */
+  isFieldFilled(value) {
+    if (value === null || value === undefined || value === 'N/A') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim() !== '';
+    return true;
+  }
+
+  /**
+   * Count which monitored fields a newly scraped company has filled
+   * @param {Object} company - Scraped company data
+   */
+  recordFillRates(company) {
+    const stats = this.state.fillRates;
+    if (!stats) return;
+    
+    const filled = this.fillRateMonitor.fields.filter(field => this.isFieldFilled(company[field]));
+    stats.samples++;
+    filled.forEach(field => {
+      stats.filled[field] = (stats.filled[field] || 0) + 1;
+    });
+    
+    stats.recent.push(filled);
+    if (stats.recent.length > this.fillRateMonitor.windowSize) {
+      stats.recent.shift();
+    }
+  }
+
+  /**
+   * Compare the fill rate of the most recent companies with the baseline:
+   * the earlier companies of this run, or the stored baseline of previous runs
+   * while this run is still too short
+   * @returns {Promise<Array>} Collapsed fields {field, recentRate, baselineRate, baselineSource}
+   */
+  async checkFillRates() {
+    const stats = this.state.fillRates;
+    const config = this.fillRateMonitor;
+    if (!stats || stats.recent.length < config.windowSize) {
+      return [];
+    }
+    
+    const priorSamples = stats.samples - stats.recent.length;
+    const storedBaseline = priorSamples >= config.minBaselineSamples ? null : await this.getFillRateBaseline();
+    const collapsed = [];
     
-    // Notify UI immediately
-    this.notifyUI({ 
-      action: 'scrapingStopped', 
-      stats: {
-        totalProcessed: this.state.processedCompanies,
-        totalFound: this.state.totalCompaniesFound,
-        pagesScraped: this.state.currentPage,
-        errors: this.state.errors.length
+    for (const field of config.fields) {
+      if (stats.acknowledged.includes(field)) continue;
+      
+      const recentFilled = stats.recent.filter(filled => filled.includes(field)).length;
+      const recentRate = recentFilled / stats.recent.length;
+      
+      let baselineRate = null;
+      let baselineSource = null;
+      if (priorSamples >= config.minBaselineSamples) {
+        baselineRate = ((stats.filled[field] || 0) - recentFilled) / priorSamples;
+        baselineSource = 'run';
+      } else if (storedBaseline && storedBaseline.samples >= config.minBaselineSamples) {
+        baselineRate = (storedBaseline.filled[field] || 0) / storedBaseline.samples;
+        baselineSource = 'history';
       }
-    });
+      
+      if (baselineRate === null || baselineRate < config.minBaselineRate) {
+        continue;
+      }
+      
+      if (recentRate < baselineRate * config.collapseRatio) {
+        collapsed.push({ field, recentRate, baselineRate, baselineSource });
+      }
+    }
     
-    console.log('Scraper: Stop complete, state reset');
+    return collapsed;
   }
 
   /**
-   * Pause scraping
+   * Pause the run and alert the side panel about collapsed fill rates
+   * @param {Array} collapsedFields - Result of checkFillRates()
    */
-  async pauseScraping() {
+  async raiseFillRateAlert(collapsedFields) {
+    console.warn('Scraper: Fill rate collapsed, pausing run:', collapsedFields);
+    
     this.state.isPaused = true;
+    this.state.fillRates.alerts++;
+    this.state.fillRateAlert = {
+      fields: collapsedFields,
+      page: this.state.currentPage,
+      windowSize: this.fillRateMonitor.windowSize,
+      detectedAt: new Date().toISOString()
+    };
     await this.saveState();
+    
+    this.notifyUI({ action: 'fillRateAlert', alert: this.state.fillRateAlert });
     this.notifyUI({ action: 'scrapingPaused' });
   }
 
   /**
-   * Resume scraping
+   * Get the fill-rate baseline stored from previous runs
+   * @returns {Promise<Object|null>} {samples, filled, updatedAt} or null
    */
-  async resumeScraping() {
-    this.state.isPaused = false;
-    await this.saveState();
-    this.notifyUI({ action: 'scrapingResumed' });
+  async getFillRateBaseline() {
+    const result = await chrome.storage.local.get(this.fillRateMonitor.storageKey);
+    return result[this.fillRateMonitor.storageKey] || null;
+  }
+
+  /**
+   * Fold this run's fill rates into the stored baseline
+   * Runs that raised an alert are left out so broken markup doesn't become the new normal
+   */
+  async updateFillRateBaseline() {
+    const stats = this.state.fillRates;
+    if (!stats || stats.samples === 0 || stats.alerts > 0) {
+      return;
+    }
     
-    // Continue processing
-    if (this.state.isRunning) {
-      await this.processCompanyQueue();
+    const baseline = await this.getFillRateBaseline() || { samples: 0, filled: {} };
+    baseline.samples += stats.samples;
+    for (const field of this.fillRateMonitor.fields) {
+      baseline.filled[field] = (baseline.filled[field] || 0) + (stats.filled[field] || 0);
+    }
+    
+    // Scale down so recent runs keep their weight
+    const maxSamples = this.fillRateMonitor.maxStoredSamples;
+    if (baseline.samples > maxSamples) {
+      const scale = maxSamples / baseline.samples;
+      baseline.samples = maxSamples;
+      for (const field of Object.keys(baseline.filled)) {
+        baseline.filled[field] = Math.round(baseline.filled[field] * scale);
+      }
     }
+    
+    baseline.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ [this.fillRateMonitor.storageKey]: baseline });
   }
 
   /**
@@ -782,13 +1767,37 @@ class ScraperCoordinator {
     return name.toLowerCase().trim();
   }
 
+  /**
+   * Normalize LinkedIn organization ID for comparison
+   */
+  normalizeOrganizationId(id) {
+    if (id === null || id === undefined) return null;
+    const normalized = String(id).trim();
+    return /^\d+$/.test(normalized) ? normalized : null;
+  }
+
   /**
    * Check if company already exists (duplicate check)
    * FIXED: Enhanced matching with URL normalization and name fallback
+   * Prefers the numeric organization ID when both records have one
    */
   isDuplicateCompany(company, companies) {
     if (!company) return false;
     
+    // Strategy 0: Check by organization ID (stable across rebrands and slug changes)
+    const companyId = this.normalizeOrganizationId(company.organizationId);
+    if (companyId) {
+      const duplicateById = companies.find(c => this.normalizeOrganizationId(c.organizationId) === companyId);
+      
+      if (duplicateById) {
+        console.log(`Scraper: Duplicate found by organization ID: ${companyId}`);
+        return true;
+      }
+      
+      // Records with a different ID are different companies, even if slug or name collide
+      companies = companies.filter(c => !this.normalizeOrganizationId(c.organizationId));
+    }
+    
     const companyUrl = this.normalizeUrl(company.url);
     const companyName = this.normalizeName(company.name);
     const companySlug = this.extractCompanySlug(company.url);
@@ -867,21 +1876,187 @@ class ScraperCoordinator {
     return false;
   }
 
+  /**
+   * Get the user's include/exclude filter rules
+   * @returns {Promise<Object>} {include: [rule], exclude: [rule]}
+   */
+  async getFilterRules() {
+    const result = await chrome.storage.local.get('filter_rules');
+    const rules = result.filter_rules || {};
+    return {
+      include: Array.isArray(rules.include) ? rules.include : [],
+      exclude: Array.isArray(rules.exclude) ? rules.exclude : []
+    };
+  }
+
+  /**
+   * Check a search result against the filter rules
+   * Exclude rules win; when include rules exist, at least one of them has to match
+   * @param {Object} company - Card data {name, industry, location, snippet}
+   * @param {Object} rules - {include, exclude} from getFilterRules()
+   * @returns {string|null} Why the company is excluded, or null to keep it
+   */
+  checkFilterRules(company, rules) {
+    const excludedBy = rules.exclude.find(rule => this.matchesFilterRule(company, rule));
+    if (excludedBy) {
+      return `exclude ${this.describeFilterRule(excludedBy)}`;
+    }
+    
+    if (rules.include.length > 0 && !rules.include.some(rule => this.matchesFilterRule(company, rule))) {
+      return 'no include rule matched';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Match one rule against a card field
+   * @param {Object} company - Card data
+   * @param {Object} rule - {field: 'name'|'industry'|'location'|'snippet'|'any', type: 'keywords'|'regex', keywords, pattern, flags}
+   * @returns {boolean} True if the rule matches
+   */
+  matchesFilterRule(company, rule) {
+    const fields = rule.field === 'any' ? ['name', 'industry', 'location', 'snippet'] : [rule.field];
+    const text = fields
+      .map(field => company[field])
+      .filter(value => typeof value === 'string' && value && value !== 'N/A')
+      .join('\n');
+    if (!text) {
+      return false;
+    }
+    
+    if (rule.type === 'regex') {
+      try {
+        return new RegExp(rule.pattern, rule.flags || '').test(text);
+      } catch (error) {
+        console.warn('Scraper: Ignoring invalid filter rule pattern:', rule.pattern);
+        return false;
+      }
+    }
+    
+    const lowerText = text.toLowerCase();
+    return (rule.keywords || []).some(keyword => lowerText.includes(String(keyword).toLowerCase()));
+  }
+
+  /**
+   * Short text form of a rule for logs and status messages, e.g. "industry: staffing, recruiting"
+   */
+  describeFilterRule(rule) {
+    const pattern = rule.type === 'regex' ? `/${rule.pattern}/${rule.flags || ''}` : (rule.keywords || []).join(', ');
+    return `${rule.field}: ${pattern}`;
+  }
+
+  /**
+   * Existing records a new company is checked against for duplicates
+   * In a deep run, card-only records don't count: visiting the About page upgrades them
+   * @param {Array} companies - Stored companies
+   * @returns {Array} Companies that make a new one a duplicate
+   */
+  getDuplicateCandidates(companies) {
+    if (this.state.mode === 'card') {
+      return companies;
+    }
+    return companies.filter(c => c.depth !== 'card');
+  }
+
+  /**
+   * Carry the version history of a stored record over to its re-collected data
+   * and add a version entry for the tracked fields that changed
+   * @param {Object} previous - Stored record
+   * @param {Object} company - Newly collected data
+   * @returns {Object} The new record with version and history
+   */
+  applyChangeHistory(previous, company) {
+    const history = Array.isArray(previous.history) ? previous.history.slice() : [];
+    const version = (previous.version || 1) + 1;
+    
+    // A card-only record has nothing worth comparing against
+    const changes = previous.depth === 'card' ? [] : this.diffCompanyFields(previous, company);
+    if (changes.length > 0) {
+      history.push({
+        version,
+        timestamp: company.timestamp || new Date().toISOString(),
+        previousTimestamp: previous.timestamp || null,
+        changes
+      });
+      console.log(`Scraper: ${company.name} changed:`, changes.map(change => change.field).join(', '));
+    }
+    
+    return {
+      ...company,
+      version,
+      history: history.slice(-this.changeTracking.maxEntries)
+    };
+  }
+
+  /**
+   * Compare the tracked fields of two versions of a company
+   * 'N/A', null and empty values all count as missing
+   * @returns {Array<Object>} [{field, from, to}] for every changed field
+   */
+  diffCompanyFields(previous, current) {
+    const valueOf = (value) => this.isFieldFilled(value) ? value : null;
+    
+    return this.changeTracking.fields
+      .filter(field => JSON.stringify(valueOf(previous[field])) !== JSON.stringify(valueOf(current[field])))
+      .map(field => ({ field, from: valueOf(previous[field]), to: valueOf(current[field]) }));
+  }
+
   /**
    * Save company data to storage (with duplicate check)
+   * A full record replaces the card-only record of the same company in place
+   * @param {Object} company - Company data
+   * @param {Object} options - {replaceUrl: update the stored record with this URL (refresh runs)}
+   * @returns {Promise<string>} 'added', 'upgraded' (card record replaced), 'updated' (refreshed), 'failed' (refresh extracted nothing) or 'duplicate' (skipped)
    */
-  async saveCompanyData(company) {
+  async saveCompanyData(company, options = {}) {
     const companies = await this.getCompanies();
     
+    if (options.replaceUrl) {
+      // Match by the URL the refresh started from; fall back to the duplicate rules after a slug change
+      const targetUrl = this.normalizeUrl(options.replaceUrl);
+      let index = companies.findIndex(c => this.normalizeUrl(c.url) === targetUrl);
+      if (index === -1) {
+        index = companies.findIndex(c => this.isDuplicateCompany(company, [c]));
+      }
+      
+      if (index !== -1) {
+        // A login wall or broken page extracts nothing; keep the stored record instead of blanking it
+        const hasData = this.isFieldFilled(company.name) &&
+          this.fillRateMonitor.fields.some(field => this.isFieldFilled(company[field]));
+        if (!hasData) {
+          console.warn('Scraper: Refresh extracted no company data, keeping stored record:', companies[index].name);
+          return 'failed';
+        }
+        
+        console.log('Scraper: Updating stored record:', company.name);
+        companies[index] = this.applyChangeHistory(companies[index], company);
+        await chrome.storage.local.set({ linkedin_scraper_data: companies });
+        return 'updated';
+      }
+    }
+    
+    const candidates = company.depth === 'card' ? companies : companies.filter(c => c.depth !== 'card');
+    
     // Check for duplicates before adding
-    if (this.isDuplicateCompany(company, companies)) {
+    if (this.isDuplicateCompany(company, candidates)) {
       console.log('Scraper: Duplicate company skipped:', company.name);
-      return false; // Indicate duplicate was skipped
+      return 'duplicate';
+    }
+    
+    if (company.depth !== 'card') {
+      const cardIndex = companies.findIndex(c => c.depth === 'card' && this.isDuplicateCompany(company, [c]));
+      if (cardIndex !== -1) {
+        console.log('Scraper: Replacing card-only record with full data:', company.name);
+        companies[cardIndex] = this.applyChangeHistory(companies[cardIndex], company);
+        await chrome.storage.local.set({ linkedin_scraper_data: companies });
+        return 'upgraded';
+      }
     }
     
     companies.push(company);
     await chrome.storage.local.set({ linkedin_scraper_data: companies });
-    return true; // Indicate company was added
+    return 'added';
   }
 
   /**
@@ -894,11 +2069,14 @@ class ScraperCoordinator {
 
   /**
    * Save scraper state
+   * Tab ids are saved too so a restarted worker can find the search tab again
    */
   async saveState() {
     await chrome.storage.local.set({ 
       scraper_state: {
         ...this.state,
+        searchTabId: this.searchTabId,
+        activeTabId: this.activeTabId,
         lastUpdated: new Date().toISOString()
       }
     });
@@ -906,11 +2084,29 @@ class ScraperCoordinator {
 
   /**
    * Load scraper state
+   * A run without a matching session marker was cut off by a browser restart: its tabs are gone,
+   * so it is marked interrupted instead of running
    */
   async loadState() {
     const result = await chrome.storage.local.get('scraper_state');
-    if (result.scraper_state) {
-      this.state = { ...this.state, ...result.scraper_state };
+    if (!result.scraper_state) return;
+    
+    const { searchTabId, activeTabId, lastUpdated, ...state } = result.scraper_state;
+    this.state = { ...this.state, ...state };
+    this.searchTabId = searchTabId ?? null;
+    this.activeTabId = activeTabId ?? null;
+    
+    if (this.state.isRunning) {
+      const session = await chrome.storage.session.get('scraper_run_id');
+      if (session.scraper_run_id !== this.state.runId) {
+        console.log(`Scraper: Run ${this.state.runId} was interrupted by a browser restart (last saved ${lastUpdated})`);
+        this.state.isRunning = false;
+        this.state.isPaused = false;
+        this.state.interrupted = true;
+        this.searchTabId = null;
+        this.activeTabId = null;
+        await this.saveState();
+      }
     }
   }
 
@@ -961,7 +2157,7 @@ class ScraperCoordinator {
         // Inject content scripts
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
-          files: ['content/extractors.js', 'content/content-script.js']
+          files: ['utils/geo-data.js', 'utils/location-parser.js', 'utils/phone-parser.js', 'utils/public-suffixes.js', 'utils/url-canonicalizer.js', 'utils/label-dictionary.js', 'utils/selector-profile.js', 'content/extractors.js', 'content/content-script.js']
         });
 
         // Wait for content script to initialize
@@ -1081,6 +2277,9 @@ class ScraperCoordinator {
 // Create coordinator instance
 const coordinator = new ScraperCoordinator();
 
+// Handlers that read or change the run wait for the persisted state
+const stateLoaded = coordinator.loadState();
+
 // Listen for messages from side panel and content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Service Worker: Received message', request.action);
@@ -1103,13 +2302,45 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
       
     case 'getState':
-      sendResponse({ success: true, state: coordinator.state });
-      return false;
+      handleGetState(sendResponse);
+      return true;
       
     case 'getCompanies':
       handleGetCompanies(sendResponse);
       return true;
       
+    case 'getCandidateQueue':
+      handleGetCandidateQueue(sendResponse);
+      return true;
+      
+    case 'removeCandidate':
+      handleRemoveCandidate(request, sendResponse);
+      return true;
+      
+    case 'clearCandidateQueue':
+      handleClearCandidateQueue(sendResponse);
+      return true;
+      
+    case 'startDeepPass':
+      handleStartDeepPass(sendResponse);
+      return true;
+      
+    case 'startListRun':
+      handleStartListRun(request, sendResponse);
+      return true;
+      
+    case 'startRefreshRun':
+      handleStartRefreshRun(request, sendResponse);
+      return true;
+      
+    case 'resumeInterruptedRun':
+      handleResumeInterruptedRun(sendResponse);
+      return true;
+      
+    case 'discardInterruptedRun':
+      handleDiscardInterruptedRun(sendResponse);
+      return true;
+      
       case 'clearData':
         handleClearData(sendResponse);
         return true;
@@ -1118,6 +2349,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         handleUpdateCompanies(request, sendResponse);
         return true;
       
+      case 'diagnosePage':
+        handleDiagnosePage(sendResponse);
+        return true;
+      
       default:
         sendResponse({ success: false, error: 'Unknown action' });
         return false;
@@ -1126,6 +2361,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 async function handleStartScraping(request, sendResponse) {
   try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'A collection is already running' });
+      return;
+    }
+    if (coordinator.driverActive) {
+      sendResponse({ success: false, error: 'The previous collection is still stopping, try again in a moment' });
+      return;
+    }
+    
     // Get active tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
@@ -1137,7 +2382,12 @@ async function handleStartScraping(request, sendResponse) {
       return;
     }
     
-    await coordinator.startScraping(tab.id, request.maxPages || 5);
+    await coordinator.startScraping(tab.id, request.maxPages || 5, request.mode === 'card' ? 'card' : 'deep', {
+      reviewCandidates: request.reviewCandidates === true,
+      startPage: request.startPage || null,
+      endPage: request.endPage || null,
+      untilEnd: request.untilEnd === true
+    });
     sendResponse({ success: true });
   } catch (error) {
     sendResponse({ success: false, error: error.message });
@@ -1146,6 +2396,7 @@ async function handleStartScraping(request, sendResponse) {
 
 async function handleStopScraping(sendResponse) {
   try {
+    await stateLoaded;
     await coordinator.stopScraping();
     sendResponse({ success: true });
   } catch (error) {
@@ -1155,6 +2406,7 @@ async function handleStopScraping(sendResponse) {
 
 async function handlePauseScraping(sendResponse) {
   try {
+    await stateLoaded;
     await coordinator.pauseScraping();
     sendResponse({ success: true });
   } catch (error) {
@@ -1164,6 +2416,7 @@ async function handlePauseScraping(sendResponse) {
 
 async function handleResumeScraping(sendResponse) {
   try {
+    await stateLoaded;
     await coordinator.resumeScraping();
     sendResponse({ success: true });
   } catch (error) {
@@ -1171,6 +2424,15 @@ async function handleResumeScraping(sendResponse) {
   }
 }
 
+async function handleGetState(sendResponse) {
+  try {
+    await stateLoaded;
+    sendResponse({ success: true, state: coordinator.state });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 async function handleGetCompanies(sendResponse) {
   try {
     const companies = await coordinator.getCompanies();
@@ -1198,13 +2460,179 @@ async function handleUpdateCompanies(request, sendResponse) {
   }
 }
 
+async function handleGetCandidateQueue(sendResponse) {
+  try {
+    const queue = await coordinator.getCandidateQueue();
+    sendResponse({ success: true, queue });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleRemoveCandidate(request, sendResponse) {
+  try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'Stop the running collection first' });
+      return;
+    }
+    
+    const queue = await coordinator.getCandidateQueue();
+    queue.companies = queue.companies.filter(c => c.url !== request.url);
+    await coordinator.saveCandidateQueue(queue);
+    sendResponse({ success: true, queue });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleClearCandidateQueue(sendResponse) {
+  try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'Stop the running collection first' });
+      return;
+    }
+    
+    await chrome.storage.local.remove('candidate_queue');
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleStartDeepPass(sendResponse) {
+  try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'A collection is already running' });
+      return;
+    }
+    if (coordinator.driverActive) {
+      sendResponse({ success: false, error: 'The previous collection is still stopping, try again in a moment' });
+      return;
+    }
+    
+    await coordinator.startDeepPass();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleStartListRun(request, sendResponse) {
+  try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'A collection is already running' });
+      return;
+    }
+    if (coordinator.driverActive) {
+      sendResponse({ success: false, error: 'The previous collection is still stopping, try again in a moment' });
+      return;
+    }
+    
+    const urls = Array.isArray(request.urls) ? request.urls.filter(url => typeof url === 'string' && url.includes('linkedin.com/company/')) : [];
+    if (urls.length === 0) {
+      sendResponse({ success: false, error: 'No LinkedIn company URLs given' });
+      return;
+    }
+    
+    await coordinator.startListRun(urls);
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleStartRefreshRun(request, sendResponse) {
+  try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'A collection is already running' });
+      return;
+    }
+    if (coordinator.driverActive) {
+      sendResponse({ success: false, error: 'The previous collection is still stopping, try again in a moment' });
+      return;
+    }
+    
+    const urls = Array.isArray(request.urls) ? request.urls.filter(url => typeof url === 'string' && url.includes('linkedin.com/company/')) : [];
+    if (urls.length === 0) {
+      sendResponse({ success: false, error: 'None of the selected records has a LinkedIn company URL' });
+      return;
+    }
+    
+    await coordinator.startListRun(urls, { refresh: true });
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleResumeInterruptedRun(sendResponse) {
+  try {
+    await stateLoaded;
+    if (coordinator.state.isRunning) {
+      sendResponse({ success: false, error: 'A collection is already running' });
+      return;
+    }
+    if (coordinator.driverActive) {
+      sendResponse({ success: false, error: 'The previous collection is still stopping, try again in a moment' });
+      return;
+    }
+    
+    await coordinator.resumeInterruptedRun();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleDiscardInterruptedRun(sendResponse) {
+  try {
+    await stateLoaded;
+    await coordinator.discardInterruptedRun();
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleDiagnosePage(sendResponse) {
+  try {
+    // Diagnose whatever LinkedIn page the user is looking at
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!tab || !tab.url || !tab.url.includes('linkedin.com')) {
+      sendResponse({ 
+        success: false, 
+        error: 'Please open a LinkedIn search results or company page first' 
+      });
+      return;
+    }
+    
+    const response = await coordinator.sendMessageToTab(tab.id, { action: 'diagnosePage' });
+    sendResponse(response);
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Handle extension icon click - open side panel
 chrome.action.onClicked.addListener((tab) => {
   chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
-// Load state on startup
-coordinator.loadState();
+// Continue a run that was cut off when the worker was terminated; the keep-alive alarm
+// wakes a terminated worker, and startup itself resumes it
+stateLoaded.then(() => coordinator.resumeInterruptedJob());
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== coordinator.keepAlive.alarmName) return;
+  await stateLoaded;
+  coordinator.resumeInterruptedJob();
+});
 
 console.log('Service Worker: LinkedIn Scraper initialized');
 
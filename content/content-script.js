@@ -12,6 +12,16 @@
   
   console.log('LinkedIn Scraper: Content script loaded');
 
+  // Apply the user's selector profile (edited in the side panel) and follow later edits
+  chrome.storage.local.get(SelectorProfile.STORAGE_KEY, (result) => {
+    extractor.setSelectorProfile(result[SelectorProfile.STORAGE_KEY] || null);
+  });
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SelectorProfile.STORAGE_KEY]) {
+      extractor.setSelectorProfile(changes[SelectorProfile.STORAGE_KEY].newValue || null);
+    }
+  });
+
   /**
    * Handle messages from service worker
    */
@@ -28,6 +38,10 @@
         handleDetectPageType(sendResponse);
         return true; // Keep channel open for async response
         
+      case 'diagnosePage':
+        handleDiagnosePage(sendResponse);
+        return true;
+        
       case 'extractCompanyURLs':
         handleExtractCompanyURLs(sendResponse);
         return true;
@@ -78,6 +92,25 @@
     }
   }
 
+  /**
+   * Diagnose selectors and extraction strategies on the current page
+   */
+  async function handleDiagnosePage(sendResponse) {
+    try {
+      const report = extractor.diagnosePage();
+      sendResponse({ 
+        success: true, 
+        report 
+      });
+    } catch (error) {
+      console.error('LinkedIn Scraper: Error diagnosing page', error);
+      sendResponse({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  }
+
   /**
    * Extract company URLs from search results page
    */
@@ -100,7 +133,7 @@
         console.warn('LinkedIn Scraper: Check browser console for detailed debug info.');
         
         // Try to help debug - log what we can find
-        const allCompanyLinks = document.querySelectorAll('a[href*="/company/"]');
+        const allCompanyLinks = document.querySelectorAll(extractor.selectors.searchResults.anyCompanyLink.join(', '));
         console.log(`LinkedIn Scraper: Debug - Found ${allCompanyLinks.length} total links containing "/company/"`);
         if (allCompanyLinks.length > 0) {
           console.log('LinkedIn Scraper: Sample links found:');
@@ -116,7 +149,8 @@
         success: true, 
         urls: urls, // Backward compatibility
         companies: companies, // New: includes names
-        count: companies.length
+        count: companies.length,
+        resultCount: extractor.getSearchResultCount() // Total results of the search, null if not shown
       });
     } catch (error) {
       console.error('LinkedIn Scraper: Error extracting URLs', error);
@@ -236,12 +270,7 @@
       
       // Method 2: Try to detect from pagination buttons
       // LinkedIn shows active page button with aria-current="true" or similar
-      const paginationButtons = document.querySelectorAll(
-        '.artdeco-pagination__pages button, ' +
-        'button[aria-label*="Page"], ' +
-        '.artdeco-pagination__indicator--number, ' +
-        'li.artdeco-pagination__indicator--number button'
-      );
+      const paginationButtons = document.querySelectorAll(extractor.selectors.pagination.pageButtons.join(', '));
       
       for (const button of paginationButtons) {
         // Check if button is active/selected
@@ -332,17 +361,10 @@
       
       const checkReady = () => {
         // Check if search results are visible
-        const hasResults = document.querySelector(
-          'li.reusable-search__result-container, ' +
-          'li.entity-result, ' +
-          'div.entity-result, ' +
-          '[data-chameleon-result-urn]'
-        );
+        const hasResults = document.querySelector(extractor.selectors.searchResults.resultsLoaded.join(', '));
         
         // Check if skeleton loader is gone
-        const skeletonLoader = document.querySelector(
-          '.app-boot-bg-skeleton, .skeleton-loader, .initial-load-animation'
-        );
+        const skeletonLoader = document.querySelector(extractor.selectors.page.skeletonLoader.join(', '));
         
         if (hasResults && !skeletonLoader) {
           console.log('LinkedIn Scraper: Content is ready');
@@ -2,35 +2,55 @@
 
 class LinkedInExtractor {
   constructor() {
-    // Selectors may need to be updated as LinkedIn changes their UI
-    this.selectors = {
-      // Search results page selectors
-      searchResults: {
-        companyCards: 'li.reusable-search__result-container',
-        companyLink: 'a.app-aware-link[href*="/company/"]',
-        paginationNext: 'button[aria-label="Next"]',
-        paginationButtons: '.artdeco-pagination__pages button'
-      },
-      
-      // Company page selectors
-      companyPage: {
-        name: 'h1.org-top-card-summary__title',
-        nameAlt: '.org-top-card-summary__title',
-        website: 'a.link-without-visited-state[href*="http"]',
-        websiteContainer: '.org-top-card-summary__info-item',
-        industry: '.org-top-card-summary__industry',
-        industryAlt: '.org-page-details__definition-text',
-        description: '.org-top-card-summary__tagline',
-        location: '.org-top-card-summary__headquarter',
-        employeeCount: '.org-top-card-summary__employee-count',
-        // About tab selectors
-        aboutTab: 'a[href*="/about/"]',
-        aboutSection: '.org-about-us-organization-description__text',
-        aboutDetails: '.org-page-details__definition-text',
-        aboutInfoList: '.org-about-us-organization-description__text-container',
-        infoListItem: '.org-page-details__definition-text'
-      }
-    };
+    // Selectors may need to be updated as LinkedIn changes their UI;
+    // they come from the selector profile (defaults plus user overrides, see setSelectorProfile)
+    this.selectors = SelectorProfile.resolve(null);
+    this.selectorProfile = null; // {name, version} of the applied profile, null for the defaults
+
+    // Company types as listed in LinkedIn's "Type" field
+    this.companyTypes = [
+      'Public Company',
+      'Privately Held',
+      'Self-Employed',
+      'Self-Owned',
+      'Sole Proprietorship',
+      'Partnership',
+      'Government Agency',
+      'Nonprofit',
+      'Educational'
+    ];
+
+    // Stock exchanges as shown in LinkedIn's stock quote module (longest names first)
+    this.stockExchanges = [
+      'NYSE American', 'NYSE Arca', 'NASDAQ', 'NYSE', 'OTCQX', 'OTCQB', 'OTC', 'TSXV', 'TSX',
+      'LSE', 'AIM', 'ASX', 'NZX', 'Euronext Paris', 'Euronext Amsterdam', 'Euronext Brussels',
+      'Euronext', 'XETRA', 'FWB', 'ETR', 'SIX', 'BME', 'BIT', 'OMX', 'OSE', 'TSE', 'TYO',
+      'HKEX', 'HKG', 'SSE', 'SZSE', 'NSE', 'BSE', 'KRX', 'KOSDAQ', 'SGX', 'TWSE', 'JSE',
+      'TADAWUL', 'TASE', 'B3', 'BMV', 'BVC'
+    ];
+
+    // Per-field provenance of the company being extracted (see recordProvenance)
+    this.provenance = {};
+
+    // Strategy used by the last successful extractDetailValues() call
+    this.lastDetailSource = null;
+  }
+
+  /**
+   * Apply a stored selector profile on top of the default selectors
+   * An invalid profile is ignored so extraction keeps working with the defaults
+   * @param {Object|null} profile - Stored profile (null resets to the defaults)
+   */
+  setSelectorProfile(profile) {
+    try {
+      this.selectors = SelectorProfile.resolve(profile);
+      this.selectorProfile = profile ? { name: profile.name, version: profile.version } : null;
+      console.log('LinkedIn Scraper: Using selector profile', profile ? `"${profile.name}" v${profile.version}` : '(defaults)');
+    } catch (error) {
+      console.warn('LinkedIn Scraper: Ignoring invalid selector profile:', error.message);
+      this.selectors = SelectorProfile.resolve(null);
+      this.selectorProfile = null;
+    }
   }
 
   /**
@@ -52,7 +72,7 @@ class LinkedInExtractor {
   /**
    * Extract company URLs and names from search results page
    * FIXED: Now extracts both URL and name for better duplicate detection
-   * @returns {Promise<Array>} Array of company objects {url: string, name: string}
+   * @returns {Promise<Array>} Array of company objects {url, name, organizationId, industry, location, followers, snippet}
    */
   async extractCompanyURLsFromSearch() {
     return new Promise((resolve) => {
@@ -63,17 +83,7 @@ class LinkedInExtractor {
         // Helper to extract company name from card
         const extractNameFromCard = (card) => {
           // Try multiple selectors for company name
-          const nameSelectors = [
-            'span.entity-result__title-text a',
-            '.entity-result__title-text',
-            'h3.entity-result__title-text',
-            'a.entity-result__title-link',
-            '.search-result__result-link',
-            'a[href*="/company/"] span',
-            'a[href*="/company/"]'
-          ];
-          
-          for (const selector of nameSelectors) {
+          for (const selector of this.selectors.searchResults.cardName) {
             const element = card.querySelector(selector);
             if (element) {
               const text = element.textContent?.trim();
@@ -84,7 +94,7 @@ class LinkedInExtractor {
           }
           
           // Fallback: get text from the link itself
-          const link = card.querySelector('a[href*="/company/"]');
+          const link = card.querySelector(this.selectors.searchResults.anyCompanyLink.join(', '));
           if (link) {
             const text = link.textContent?.trim() || link.innerText?.trim();
             if (text && text.length > 0 && text.length < 200) {
@@ -96,18 +106,18 @@ class LinkedInExtractor {
         };
         
         // Strategy 1: Try the primary selector approach
-        const companyCards = document.querySelectorAll(this.selectors.searchResults.companyCards);
+        const companyCards = document.querySelectorAll(this.selectors.searchResults.companyCards.join(', '));
         if (companyCards.length > 0) {
           console.log(`LinkedIn Scraper: Found ${companyCards.length} cards with primary selector`);
           companyCards.forEach(card => {
-            const link = card.querySelector(this.selectors.searchResults.companyLink);
+            const link = card.querySelector(this.selectors.searchResults.companyLink.join(', '));
             if (link && link.href) {
               const url = link.href.split('?')[0];
               if (url.includes('linkedin.com/company/')) {
                 const name = extractNameFromCard(card);
                 const existing = companies.find(c => c.url === url);
                 if (!existing) {
-                  companies.push({ url: url, name: name });
+                  companies.push({ url: url, name: name, organizationId: this.extractOrganizationIdFromCard(card, url), ...this.extractCardDetails(card) });
                 }
               }
             }
@@ -119,31 +129,13 @@ class LinkedInExtractor {
           console.log('LinkedIn Scraper: Primary selector failed, trying alternatives...');
           
           // Try alternative container selectors
-          const alternativeSelectors = [
-            'li.entity-result',
-            'div.entity-result',
-            'li.search-result',
-            'div.search-result',
-            '[data-chameleon-result-urn]',
-            'li[data-chameleon-result-urn]',
-            'div[data-chameleon-result-urn]'
-          ];
-          
-          for (const containerSelector of alternativeSelectors) {
+          for (const containerSelector of this.selectors.searchResults.cardContainers) {
             const cards = document.querySelectorAll(containerSelector);
             if (cards.length > 0) {
               console.log(`LinkedIn Scraper: Found ${cards.length} cards with ${containerSelector}`);
               cards.forEach(card => {
                 // Try multiple link selectors within each card
-                const linkSelectors = [
-                  'a.app-aware-link[href*="/company/"]',
-                  'a.entity-result__title-link[href*="/company/"]',
-                  'a.search-result__result-link[href*="/company/"]',
-                  'a[href*="/company/"][data-control-name]',
-                  'a[href*="/company/"]'
-                ];
-                
-                for (const linkSelector of linkSelectors) {
+                for (const linkSelector of this.selectors.searchResults.cardLinks) {
                   const link = card.querySelector(linkSelector);
                   if (link && link.href) {
                     const url = link.href.split('?')[0];
@@ -151,7 +143,7 @@ class LinkedInExtractor {
                       const name = extractNameFromCard(card);
                       const existing = companies.find(c => c.url === url);
                       if (!existing) {
-                        companies.push({ url: url, name: name });
+                        companies.push({ url: url, name: name, organizationId: this.extractOrganizationIdFromCard(card, url), ...this.extractCardDetails(card) });
                         break; // Found link in this card, move to next
                       }
                     }
@@ -167,7 +159,7 @@ class LinkedInExtractor {
         // Strategy 3: Last resort - find ALL links with /company/ and filter
         if (companies.length === 0) {
           console.log('LinkedIn Scraper: Container approach failed, trying direct link search...');
-          const allCompanyLinks = document.querySelectorAll('a[href*="/company/"]');
+          const allCompanyLinks = document.querySelectorAll(this.selectors.searchResults.anyCompanyLink.join(', '));
           console.log(`LinkedIn Scraper: Found ${allCompanyLinks.length} total links with /company/`);
           
           allCompanyLinks.forEach(link => {
@@ -185,7 +177,8 @@ class LinkedInExtractor {
                     const name = link.textContent?.trim() || link.innerText?.trim() || '';
                     const existing = companies.find(c => c.url === baseUrl);
                     if (!existing) {
-                      companies.push({ url: baseUrl, name: name });
+                      const card = link.closest(this.selectors.searchResults.cardUrnContainer.join(', '));
+                      companies.push({ url: baseUrl, name: name, organizationId: this.extractOrganizationIdFromCard(card, baseUrl), ...this.extractCardDetails(card) });
                     }
                   }
                 }
@@ -236,14 +229,14 @@ class LinkedInExtractor {
     
     // Wait for company name to appear
     console.log('LinkedIn Scraper: Waiting for company name...');
-    await this.waitForElement(this.selectors.companyPage.name, 15000);
+    await this.waitForElement(this.selectors.companyPage.name[0], 15000);
     
     // Wait for About page content to load (if on About page)
     if (currentUrl.includes('/about/')) {
       console.log('LinkedIn Scraper: Waiting for About page content...');
       try {
         // Wait for either the about section or page details to appear
-        await this.waitForElement('.org-page-details, .org-about-us-organization-description', 15000);
+        await this.waitForElement(this.selectors.companyPage.aboutContent.join(', '), 15000);
       } catch (e) {
         console.log('LinkedIn Scraper: About content may not have loaded, continuing anyway...');
       }
@@ -255,36 +248,205 @@ class LinkedInExtractor {
     
     console.log('LinkedIn Scraper: Starting data extraction...');
     
-    // Extract all data
+    const data = this.extractAllFields();
+    
+    console.log('LinkedIn Scraper: Extracted data:', data);
+    
+    return data;
+  }
+
+  /**
+   * Run every field extractor against the page as it is now (no waiting)
+   * @returns {Object} Company data object including _meta provenance
+   */
+  extractAllFields() {
+    // Extract all data (each extractor records its provenance as it goes)
+    this.provenance = {};
+    const companySize = this.extractCompanySize();
+    const locations = this.extractLocations();
+    const headquarters = this.extractHeadquarters(LocationParser.getPrimaryCountry(locations));
+    const phone = this.extractPhone(headquarters.country);
+    const website = this.extractWebsite();
     const data = {
       name: this.extractCompanyName(),
-      website: this.extractWebsite(),
+      website: website.url,
+      domain: website.domain,
       industry: this.extractIndustry(),
-      phone: this.extractPhone(),
-      headquarters: this.extractHeadquarters(),
+      phone: phone.raw,
+      phoneE164: phone.e164,
+      phoneCountry: phone.country,
+      phoneSource: phone.source,
+      headquarters: headquarters.raw,
+      headquartersCity: headquarters.city,
+      headquartersRegion: headquarters.region,
+      headquartersCountry: headquarters.country,
+      locations: locations,
+      companySize: companySize.label,
+      companySizeMin: companySize.min,
+      companySizeMax: companySize.max,
+      associatedMembers: this.extractAssociatedMembers(),
+      foundedYear: this.extractFoundedYear(),
+      companyType: this.extractCompanyType(),
+      specialties: this.extractSpecialties(),
+      tagline: this.extractTagline(),
+      description: this.extractDescription(),
+      organizationId: this.extractOrganizationId(),
+      slug: this.extractCanonicalSlug(),
+      followers: this.extractFollowers(),
+      logoUrl: this.extractLogoUrl(),
+      isVerified: this.extractIsVerified(),
+      stock: this.extractStock(),
+      affiliatedPages: this.extractAffiliatedPages(),
       url: window.location.href.split('?')[0].split('/about/')[0],
       timestamp: new Date().toISOString()
     };
     
-    console.log('LinkedIn Scraper: Extracted data:', data);
+    // Which strategy / selector produced each field, and how much to trust it
+    data._meta = {
+      language: this.detectLanguage(),
+      fields: this.provenance
+    };
     
     return data;
   }
 
+  /**
+   * Diagnose the current page for bug reports: how many nodes each profile selector
+   * matches and which strategy each field would be extracted with
+   * Runs against the page as it is now, without waiting for content to load
+   * @returns {Object} Report {url, pageType, language, selectorProfile, timestamp, selectors, fields}
+   */
+  diagnosePage() {
+    console.log('LinkedIn Scraper: Diagnosing page...');
+
+    const pageType = this.detectPageType();
+    const groupsByPageType = {
+      search: ['page', 'searchResults', 'pagination'],
+      company: ['page', 'companyPage']
+    };
+    const groups = groupsByPageType[pageType] || Object.keys(this.selectors);
+
+    const selectors = [];
+    for (const group of groups) {
+      for (const [key, list] of Object.entries(this.selectors[group])) {
+        for (const selector of list) {
+          let count = null;
+          let error = null;
+          try {
+            count = document.querySelectorAll(selector).length;
+          } catch (e) {
+            error = e.message;
+          }
+          selectors.push({ key: `${group}.${key}`, selector, count, error });
+        }
+      }
+    }
+
+    let fields = {};
+    if (pageType === 'company') {
+      const data = this.extractAllFields();
+      for (const [field, value] of Object.entries(data)) {
+        if (['url', 'timestamp', '_meta'].includes(field)) continue;
+        // Fields without provenance of their own (domain, phoneE164, headquartersCity, ...) are derived from another field
+        const provenance = this.provenance[field] || {};
+        const found = !this.isMissingValue(value);
+        fields[field] = {
+          found,
+          strategy: provenance.strategy || (found ? 'derived' : null),
+          selector: provenance.selector || null,
+          confidence: provenance.confidence || null,
+          sample: found ? this.formatDiagnosticSample(value) : null
+        };
+      }
+    } else if (pageType === 'search') {
+      fields = this.diagnoseSearchResults();
+    }
+
+    return {
+      url: window.location.href,
+      pageType,
+      language: this.detectLanguage(),
+      selectorProfile: this.selectorProfile,
+      timestamp: new Date().toISOString(),
+      selectors,
+      fields
+    };
+  }
+
+  /**
+   * Work out which strategy extractCompanyURLsFromSearch() and hasNextPage() would use on this page
+   * @returns {Object} {resultCards, nextPage}, each {found, strategy, selector, confidence, sample}
+   */
+  diagnoseSearchResults() {
+    const { searchResults } = this.selectors;
+    let resultCards = { found: false, strategy: null, selector: null, confidence: null, sample: null };
+
+    // Same order as extractCompanyURLsFromSearch(): primary cards, alternative containers, any company link
+    const primaryCards = Array.from(document.querySelectorAll(searchResults.companyCards.join(', ')))
+      .filter(card => card.querySelector(searchResults.companyLink.join(', ')));
+    const container = searchResults.cardContainers.find(selector => document.querySelector(selector));
+    const links = document.querySelectorAll(searchResults.anyCompanyLink.join(', '));
+
+    if (primaryCards.length > 0) {
+      resultCards = {
+        found: true, strategy: 'primary-cards', selector: searchResults.companyCards.join(', '),
+        confidence: 'high', sample: `${primaryCards.length} cards`
+      };
+    } else if (container) {
+      resultCards = {
+        found: true, strategy: 'alternative-cards', selector: container,
+        confidence: 'medium', sample: `${document.querySelectorAll(container).length} cards`
+      };
+    } else if (links.length > 0) {
+      resultCards = {
+        found: true, strategy: 'direct-links', selector: searchResults.anyCompanyLink.join(', '),
+        confidence: 'low', sample: `${links.length} links`
+      };
+    }
+
+    const nextSelector = this.selectors.pagination.nextButton.find(selector => document.querySelector(selector));
+    const hasNext = this.hasNextPage();
+    return {
+      resultCards,
+      nextPage: {
+        found: hasNext,
+        strategy: nextSelector ? 'selector' : null,
+        selector: nextSelector || null,
+        confidence: nextSelector ? 'high' : null,
+        sample: nextSelector && !hasNext ? 'button disabled (last page)' : null
+      }
+    };
+  }
+
+  /**
+   * Check whether an extracted value means "not found"
+   * @param {*} value - Extracted value
+   * @returns {boolean} True for 'N/A', null, empty arrays and false
+   */
+  isMissingValue(value) {
+    return value === 'N/A' || value === null || value === undefined || value === false ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Shorten an extracted value for the diagnostics report
+   * @param {*} value - Extracted value
+   * @returns {string} Single-line preview (at most 80 characters)
+   */
+  formatDiagnosticSample(value) {
+    const text = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ').trim();
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+
   /**
    * Extract company name
    * @returns {string} Company name or 'N/A'
    */
   extractCompanyName() {
-    const selectors = [
-      this.selectors.companyPage.name,
-      this.selectors.companyPage.nameAlt,
-      'h1'
-    ];
-    
-    for (const selector of selectors) {
+    for (const selector of this.selectors.companyPage.name) {
       const element = document.querySelector(selector);
       if (element && element.textContent.trim()) {
+        this.recordProvenance('name', 'selector', selector, selector === 'h1' ? 'medium' : 'high');
         return element.textContent.trim();
       }
     }
@@ -293,22 +455,37 @@ class LinkedInExtractor {
   }
 
   /**
-   * Extract company website
-   * @returns {string} Website URL or 'N/A'
+   * Extract company website, canonicalized, with its registrable domain
+   * @returns {Object} {url: string, domain: string|null} (url is 'N/A' if not found)
    */
   extractWebsite() {
+    const href = this.extractWebsiteHref();
+    const url = UrlCanonicalizer.canonicalize(href);
+    if (!url) {
+      return { url: 'N/A', domain: null };
+    }
+    
+    const domain = UrlCanonicalizer.getDomain(url);
+    console.log('LinkedIn Scraper: Canonical website:', url, domain);
+    return { url, domain };
+  }
+
+  /**
+   * Extract the raw company website link (LinkedIn redirect wrappers already unwrapped)
+   * @returns {string} Website URL or 'N/A'
+   */
+  extractWebsiteHref() {
     console.log('LinkedIn Scraper: Extracting website...');
     
     // Strategy 1: Look in page details section using dt/dd structure (most reliable)
-    const pageDetails = document.querySelector('.org-page-details');
+    const pageDetails = document.querySelector(this.selectors.companyPage.pageDetails.join(', '));
     if (pageDetails) {
       console.log('LinkedIn Scraper: Searching page details section...');
       
       // Find all dt elements and check for "Website"
       const dtElements = pageDetails.querySelectorAll('dt');
       for (const dt of dtElements) {
-        const dtText = dt.textContent.trim().toLowerCase();
-        if (dtText === 'website' || dtText.includes('website')) {
+        if (this.matchesLabel(dt.textContent, 'website')) {
           console.log('LinkedIn Scraper: Found Website dt element');
           
           // Get the next dd element
@@ -321,10 +498,11 @@ class LinkedInExtractor {
             // Look for link in dd
             const link = dd.querySelector('a[href]');
             if (link && link.href) {
-              const href = link.href;
+              const href = UrlCanonicalizer.unwrapRedirect(link.href);
               if (!href.includes('linkedin.com') && 
                   (href.startsWith('http://') || href.startsWith('https://'))) {
                 console.log('LinkedIn Scraper: Found website in page details dt/dd:', href);
+                this.recordProvenance('website', 'page-details', this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dd a[href]'), 'high');
                 return href;
               }
             }
@@ -333,6 +511,7 @@ class LinkedInExtractor {
             const ddText = dd.textContent.trim();
             if (ddText && (ddText.startsWith('http://') || ddText.startsWith('https://'))) {
               console.log('LinkedIn Scraper: Found website URL in dd text:', ddText);
+              this.recordProvenance('website', 'page-details', this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dd'), 'high');
               return ddText;
             }
           }
@@ -342,20 +521,20 @@ class LinkedInExtractor {
       // Also check all links in page details
       const allLinks = pageDetails.querySelectorAll('a[href]');
       for (const link of allLinks) {
-        const href = link.href;
+        const href = UrlCanonicalizer.unwrapRedirect(link.href);
         if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
           // Check if it's in a context that suggests it's the website
           const parent = link.closest('dd');
           if (parent) {
             const prevDt = parent.previousElementSibling;
             if (prevDt && prevDt.tagName === 'DT') {
-              const dtText = prevDt.textContent.trim().toLowerCase();
-              if (dtText === 'website' || dtText.includes('website')) {
+              if (this.matchesLabel(prevDt.textContent, 'website')) {
                 if (!href.includes('linkedin.com') && 
                     !href.includes('facebook.com') && 
                     !href.includes('twitter.com') && 
                     !href.includes('instagram.com')) {
                   console.log('LinkedIn Scraper: Found website link in page details:', href);
+                  this.recordProvenance('website', 'page-details', this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dd a[href]'), 'high');
                   return href;
                 }
               }
@@ -366,30 +545,32 @@ class LinkedInExtractor {
     }
     
     // Strategy 2: Look in org-top-card-summary (main company card)
-    const topCard = document.querySelector('.org-top-card-summary');
+    const topCard = document.querySelector(this.selectors.companyPage.topCardSummary.join(', '));
     if (topCard) {
       console.log('LinkedIn Scraper: Searching top card summary...');
       
       // Look for link-without-visited-state class (LinkedIn's website link class)
-      const websiteLink = topCard.querySelector('a.link-without-visited-state[href*="http"]');
+      const websiteLink = topCard.querySelector(this.selectors.companyPage.websiteLink.join(', '));
       if (websiteLink && websiteLink.href) {
-        const href = websiteLink.href;
+        const href = UrlCanonicalizer.unwrapRedirect(websiteLink.href);
         if (!href.includes('linkedin.com') && 
             (href.startsWith('http://') || href.startsWith('https://'))) {
           console.log('LinkedIn Scraper: Found website in top card:', href);
+          this.recordProvenance('website', 'top-card', this.matchedSelector(topCard, this.selectors.companyPage.topCardSummary, this.matchedSelector(websiteLink, this.selectors.companyPage.websiteLink)), 'high');
           return href;
         }
       }
       
       // Look in info items
-      const infoItems = topCard.querySelectorAll('.org-top-card-summary__info-item');
+      const infoItems = topCard.querySelectorAll(this.selectors.companyPage.topCardInfoItems.join(', '));
       for (const item of infoItems) {
         const link = item.querySelector('a[href*="http"]');
         if (link && link.href) {
-          const href = link.href;
+          const href = UrlCanonicalizer.unwrapRedirect(link.href);
           if (!href.includes('linkedin.com') && 
               (href.startsWith('http://') || href.startsWith('https://'))) {
             console.log('LinkedIn Scraper: Found website in info item:', href);
+            this.recordProvenance('website', 'top-card', this.matchedSelector(topCard, this.selectors.companyPage.topCardSummary, this.matchedSelector(item, this.selectors.companyPage.topCardInfoItems, 'a[href*="http"]')), 'medium');
             return href;
           }
         }
@@ -397,21 +578,22 @@ class LinkedInExtractor {
     }
     
     // Strategy 3: Look in overview section
-    const overviewSection = document.querySelector('.org-page-details__overview-section, .org-about-module');
+    const overviewSection = document.querySelector(this.selectors.companyPage.overviewSection.join(', '));
     if (overviewSection) {
       console.log('LinkedIn Scraper: Searching overview section...');
       
       const dtElements = overviewSection.querySelectorAll('dt');
       for (const dt of dtElements) {
-        if (dt.textContent.trim().toLowerCase().includes('website')) {
+        if (this.matchesLabel(dt.textContent, 'website')) {
           const dd = dt.nextElementSibling;
           if (dd && dd.tagName === 'DD') {
             const link = dd.querySelector('a[href]');
             if (link && link.href) {
-              const href = link.href;
+              const href = UrlCanonicalizer.unwrapRedirect(link.href);
               if (!href.includes('linkedin.com') && 
                   (href.startsWith('http://') || href.startsWith('https://'))) {
                 console.log('LinkedIn Scraper: Found website in overview section:', href);
+                this.recordProvenance('website', 'overview-section', this.matchedSelector(overviewSection, this.selectors.companyPage.overviewSection, 'dd a[href]'), 'high');
                 return href;
               }
             }
@@ -421,11 +603,11 @@ class LinkedInExtractor {
     }
     
     // Strategy 4: Look for any external link in about/org sections
-    const aboutSections = document.querySelectorAll('.org-about-module, .org-about-us-organization-description, .org-page-details');
+    const aboutSections = document.querySelectorAll(this.selectors.companyPage.aboutSections.join(', '));
     for (const section of aboutSections) {
       const links = section.querySelectorAll('a[href]');
       for (const link of links) {
-        const href = link.href;
+        const href = UrlCanonicalizer.unwrapRedirect(link.href);
         if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
           if (!href.includes('linkedin.com') && 
               !href.includes('facebook.com') && 
@@ -434,13 +616,14 @@ class LinkedInExtractor {
               !href.includes('youtube.com')) {
             // Check if it's likely the main website (not a social link)
             const linkText = link.textContent.trim().toLowerCase();
-            const parentText = (link.parentElement?.textContent || '').toLowerCase();
-            if (parentText.includes('website') || 
+            const parentText = link.parentElement?.textContent || '';
+            if (this.matchesLabel(parentText, 'website') || 
                 linkText.includes('www.') || 
                 linkText.includes('.com') ||
                 linkText.includes('.org') ||
                 linkText.includes('.net')) {
               console.log('LinkedIn Scraper: Found potential website in about section:', href);
+              this.recordProvenance('website', 'about-links', this.matchedSelector(section, this.selectors.companyPage.aboutSections, 'a[href]'), 'medium');
               return href;
             }
           }
@@ -454,7 +637,7 @@ class LinkedInExtractor {
     const externalLinks = [];
     
     for (const link of allLinks) {
-      const href = link.href;
+      const href = UrlCanonicalizer.unwrapRedirect(link.href);
       if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
         if (!href.includes('linkedin.com') && 
             !href.includes('facebook.com') && 
@@ -470,15 +653,17 @@ class LinkedInExtractor {
     if (externalLinks.length > 0) {
       // Prefer links that are in definition lists or have "website" context
       for (const { href, link } of externalLinks) {
-        const context = (link.closest('dd')?.previousElementSibling?.textContent || '').toLowerCase();
-        if (context.includes('website')) {
+        const context = link.closest('dd')?.previousElementSibling?.textContent || '';
+        if (this.matchesLabel(context, 'website')) {
           console.log('LinkedIn Scraper: Found website in global search with context:', href);
+          this.recordProvenance('website', 'global-links', 'dd a[href]', 'medium');
           return href;
         }
       }
       
       // If no context match, return first external link (might be the website)
       console.log('LinkedIn Scraper: Found external link (may be website):', externalLinks[0].href);
+      this.recordProvenance('website', 'global-links', 'a[href]', 'low');
       return externalLinks[0].href;
     }
     
@@ -494,16 +679,17 @@ class LinkedInExtractor {
     console.log('LinkedIn Scraper: Extracting industry...');
     
     // Strategy 1: Look in page details section (most reliable on About page)
-    const pageDetails = document.querySelector('.org-page-details');
+    const pageDetails = document.querySelector(this.selectors.companyPage.pageDetails.join(', '));
     if (pageDetails) {
       const dtElements = pageDetails.querySelectorAll('dt');
       for (const dt of dtElements) {
-        if (dt.textContent.trim().toLowerCase().includes('industry')) {
+        if (this.matchesLabel(dt.textContent, 'industry')) {
           const dd = dt.nextElementSibling;
           if (dd && dd.tagName === 'DD') {
             const industry = dd.textContent.trim();
-            if (industry && industry !== 'Industry') {
+            if (industry && !this.matchesLabel(industry, 'industry', true)) {
               console.log('LinkedIn Scraper: Found industry in page details:', industry);
+              this.recordProvenance('industry', 'page-details', this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dd'), 'high');
               return industry;
             }
           }
@@ -512,16 +698,11 @@ class LinkedInExtractor {
     }
     
     // Strategy 2: Try main page selectors
-    const selectors = [
-      this.selectors.companyPage.industry,
-      this.selectors.companyPage.industryAlt,
-      '.org-top-card-summary__industry'
-    ];
-    
-    for (const selector of selectors) {
+    for (const selector of this.selectors.companyPage.industry) {
       const element = document.querySelector(selector);
       if (element && element.textContent.trim()) {
         console.log('LinkedIn Scraper: Found industry with selector:', selector, element.textContent.trim());
+        this.recordProvenance('industry', 'selector', selector, 'medium');
         return element.textContent.trim();
       }
     }
@@ -529,12 +710,13 @@ class LinkedInExtractor {
     // Strategy 3: Look anywhere for industry label
     const allDts = document.querySelectorAll('dt');
     for (const dt of allDts) {
-      if (dt.textContent.trim().toLowerCase() === 'industry') {
+      if (this.matchesLabel(dt.textContent, 'industry', true)) {
         const dd = dt.nextElementSibling;
         if (dd) {
           const industry = dd.textContent.trim();
           if (industry) {
             console.log('LinkedIn Scraper: Found industry from dt/dd:', industry);
+            this.recordProvenance('industry', 'dt-dd', 'dt + dd', 'medium');
             return industry;
           }
         }
@@ -546,94 +728,103 @@ class LinkedInExtractor {
   }
 
   /**
-   * Extract company phone number
-   * @returns {string} Phone number or 'N/A'
+   * Extract company phone number, normalized to E.164
+   * @param {string|null} defaultCountry - ISO country code for numbers without a country prefix (e.g. headquarters country)
+   * @returns {Object} {raw: string, e164, country, source} (raw is 'N/A' and the rest null if not found);
+   *   source is 'tel-link', 'dt-dd' or 'text-context'
    */
-  extractPhone() {
+  extractPhone(defaultCountry = null) {
     console.log('LinkedIn Scraper: Extracting phone...');
     
-    // Search for phone pattern in text
-    const phonePattern = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
+    const build = (parsed, source, selector = null, display = parsed.display) => {
+      console.log(`LinkedIn Scraper: Found phone from ${source}:`, display, parsed.e164);
+      const confidence = { 'tel-link': 'high', 'dt-dd': 'high', 'text-context': 'low' }[source];
+      this.recordProvenance('phone', source, selector, confidence);
+      return { raw: display, e164: parsed.e164, country: parsed.country, source };
+    };
     
-    // Strategy 1: Look for tel: links
-    const telLinks = document.querySelectorAll('a[href^="tel:"]');
-    if (telLinks.length > 0) {
-      const phone = telLinks[0].href.replace('tel:', '').trim();
-      console.log('LinkedIn Scraper: Found phone from tel: link:', phone);
-      return phone;
+    // Strategy 1: Look for tel: links (the href usually carries the full international number)
+    const telLinks = document.querySelectorAll(this.selectors.companyPage.phoneLinks.join(', '));
+    for (const link of telLinks) {
+      let number = link.getAttribute('href').replace(/^tel:/i, '').trim();
+      try {
+        number = decodeURIComponent(number);
+      } catch (error) {
+        // Keep the undecoded number
+      }
+      const parsed = PhoneParser.parse(number, defaultCountry);
+      if (parsed) {
+        // Prefer the visible text as the displayed form when it is a number itself
+        const visible = PhoneParser.findNumber(link.textContent);
+        return build(parsed, 'tel-link', this.matchedSelector(link, this.selectors.companyPage.phoneLinks), visible ? visible.display : parsed.display);
+      }
     }
     
-    // Strategy 2: Look in page details section
-    const pageDetails = document.querySelector('.org-page-details');
-    if (pageDetails) {
-      const dtElements = pageDetails.querySelectorAll('dt');
+    // Strategy 2: Look in page details section, then anywhere for a phone label
+    const pageDetails = document.querySelector(this.selectors.companyPage.pageDetails.join(', '));
+    const dtGroups = [
+      [pageDetails ? pageDetails.querySelectorAll('dt') : [], pageDetails ? this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dt + dd') : null],
+      [document.querySelectorAll('dt'), 'dt + dd']
+    ];
+    for (const [dtElements, selector] of dtGroups) {
       for (const dt of dtElements) {
-        if (dt.textContent.trim().toLowerCase().includes('phone')) {
-          const dd = dt.nextElementSibling;
-          if (dd && dd.tagName === 'DD') {
-            const phone = dd.textContent.trim();
-            const match = phone.match(phonePattern);
-            if (match) {
-              console.log('LinkedIn Scraper: Found phone in page details:', match[0]);
-              return match[0].trim();
+        if (this.matchesLabel(dt.textContent, 'phone')) {
+          for (const dd of this.getDefinitionValues(dt)) {
+            const parsed = PhoneParser.parse(dd.textContent, defaultCountry);
+            if (parsed) {
+              return build(parsed, 'dt-dd', selector);
             }
           }
         }
       }
     }
     
-    // Strategy 3: Look anywhere for phone label
-    const allDts = document.querySelectorAll('dt');
-    for (const dt of allDts) {
-      const text = dt.textContent.trim().toLowerCase();
-      if (text.includes('phone') || text === 'phone') {
-        const dd = dt.nextElementSibling;
-        if (dd) {
-          const phone = dd.textContent.trim();
-          const match = phone.match(phonePattern);
-          if (match) {
-            console.log('LinkedIn Scraper: Found phone from dt/dd:', match[0]);
-            return match[0].trim();
-          }
-        }
-      }
-    }
-    
-    // Strategy 4: Search entire page for phone pattern near "phone" text
+    // Strategy 3: Search entire page for a number right after a "phone" label
     const allText = document.body.textContent;
-    const phoneContext = /phone:?\s*(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/i;
-    const contextMatch = allText.match(phoneContext);
+    const phoneLabels = this.getLabels('phone').map(label => this.escapeRegExp(label)).join('|');
+    const contextMatch = allText.match(new RegExp(`(?:${phoneLabels}):?\\s*((?:\\+|00)?[\\d\\s().\\-\\/]{7,}(?:\\s*(?:ext\\.?|x)\\s*\\d{1,6})?)`, 'i'));
     if (contextMatch) {
-      const match = contextMatch[0].match(phonePattern);
-      if (match) {
-        console.log('LinkedIn Scraper: Found phone from context search:', match[0]);
-        return match[0].trim();
+      const parsed = PhoneParser.parse(contextMatch[1], defaultCountry);
+      if (parsed) {
+        return build(parsed, 'text-context');
       }
     }
     
     console.log('LinkedIn Scraper: No phone found');
-    return 'N/A';
+    return { raw: 'N/A', e164: null, country: null, source: null };
+  }
+
+  /**
+   * Extract company headquarters, parsed into structured parts
+   * @param {string|null} countryHint - Country of the primary office, for ambiguous regions ("Perth, WA")
+   * @returns {Object} {raw: string, city, region, country} (raw is 'N/A' and parts null if not found)
+   */
+  extractHeadquarters(countryHint = null) {
+    const raw = this.extractHeadquartersText();
+    const parsed = LocationParser.parseHeadquarters(raw, countryHint);
+    console.log('LinkedIn Scraper: Parsed headquarters:', parsed);
+    return { raw, ...parsed };
   }
 
   /**
-   * Extract company headquarters location
+   * Extract company headquarters location text
    * @returns {string} Headquarters location or 'N/A'
    */
-  extractHeadquarters() {
+  extractHeadquartersText() {
     console.log('LinkedIn Scraper: Extracting headquarters...');
     
     // Strategy 1: Look in page details section
-    const pageDetails = document.querySelector('.org-page-details');
+    const pageDetails = document.querySelector(this.selectors.companyPage.pageDetails.join(', '));
     if (pageDetails) {
       const dtElements = pageDetails.querySelectorAll('dt');
       for (const dt of dtElements) {
-        const text = dt.textContent.trim().toLowerCase();
-        if (text.includes('headquarters') || text.includes('headquarter')) {
+        if (this.matchesLabel(dt.textContent, 'headquarters')) {
           const dd = dt.nextElementSibling;
           if (dd && dd.tagName === 'DD') {
             const location = dd.textContent.trim();
-            if (location && !location.toLowerCase().includes('headquarters')) {
+            if (location && !this.matchesLabel(location, 'headquarters')) {
               console.log('LinkedIn Scraper: Found headquarters in page details:', location);
+              this.recordProvenance('headquarters', 'page-details', this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dd'), 'high');
               return location;
             }
           }
@@ -642,17 +833,13 @@ class LinkedInExtractor {
     }
     
     // Strategy 2: Try main page selectors
-    const mainSelectors = [
-      '.org-top-card-summary__headquarter',
-      '[data-test-id="about-us-headquarters"]'
-    ];
-    
-    for (const selector of mainSelectors) {
+    for (const selector of this.selectors.companyPage.headquarters) {
       const element = document.querySelector(selector);
       if (element) {
         const text = element.textContent.trim();
-        if (text && !text.toLowerCase().includes('headquarters')) {
+        if (text && !this.matchesLabel(text, 'headquarters')) {
           console.log('LinkedIn Scraper: Found headquarters with selector:', selector, text);
+          this.recordProvenance('headquarters', 'selector', selector, 'medium');
           return text;
         }
       }
@@ -661,13 +848,13 @@ class LinkedInExtractor {
     // Strategy 3: Look anywhere for headquarters label
     const allDts = document.querySelectorAll('dt');
     for (const dt of allDts) {
-      const text = dt.textContent.trim().toLowerCase();
-      if (text.includes('headquarters') || text.includes('headquarter')) {
+      if (this.matchesLabel(dt.textContent, 'headquarters')) {
         const dd = dt.nextElementSibling;
         if (dd) {
           const location = dd.textContent.trim();
-          if (location && !location.toLowerCase().includes('headquarters')) {
+          if (location && !this.matchesLabel(location, 'headquarters')) {
             console.log('LinkedIn Scraper: Found headquarters from dt/dd:', location);
+            this.recordProvenance('headquarters', 'dt-dd', 'dt + dd', 'medium');
             return location;
           }
         }
@@ -678,21 +865,1032 @@ class LinkedInExtractor {
     return 'N/A';
   }
 
+  /**
+   * Extract LinkedIn's numeric organization ID for the current company page
+   * The ID is stable across rebrands, unlike the URL slug
+   * @returns {string|null} Organization ID (digits) or null
+   */
+  extractOrganizationId() {
+    console.log('LinkedIn Scraper: Extracting organization ID...');
+
+    // Strategy 1: URN attributes on the top card
+    const topCard = document.querySelector(this.selectors.companyPage.topCard.join(', '));
+    if (topCard) {
+      const urnElements = [topCard, ...topCard.querySelectorAll(this.selectors.companyPage.urnElements.join(', '))];
+      for (const element of urnElements) {
+        const id = this.parseOrganizationUrn(element.getAttribute('data-entity-urn') || element.getAttribute('data-urn'));
+        if (id) {
+          console.log('LinkedIn Scraper: Found organization ID on top card:', id);
+          this.recordProvenance('organizationId', 'top-card-urn', element === topCard
+            ? this.matchedSelector(topCard, this.selectors.companyPage.topCard)
+            : this.matchedSelector(topCard, this.selectors.companyPage.topCard, this.matchedSelector(element, this.selectors.companyPage.urnElements)), 'high');
+          return id;
+        }
+      }
+    }
+
+    // Strategy 2: Numeric company filters in "employees" / "jobs" links
+    // e.g. /search/results/people/?currentCompany=["1441"] or /jobs/search/?f_C=1441
+    const filterLinks = document.querySelectorAll(this.selectors.companyPage.organizationFilterLinks.join(', '));
+    for (const link of filterLinks) {
+      const id = this.parseCompanyFilterParam(link.href);
+      if (id) {
+        console.log('LinkedIn Scraper: Found organization ID in filter link:', id);
+        this.recordProvenance('organizationId', 'filter-link', this.matchedSelector(link, this.selectors.companyPage.organizationFilterLinks), 'high');
+        return id;
+      }
+    }
+
+    // Strategy 3: The current URL itself uses the numeric form (/company/1441/)
+    const urlMatch = window.location.pathname.match(/\/company\/(\d+)(?:\/|$)/);
+    if (urlMatch) {
+      console.log('LinkedIn Scraper: Found organization ID in URL:', urlMatch[1]);
+      this.recordProvenance('organizationId', 'page-url', null, 'high');
+      return urlMatch[1];
+    }
+
+    // Strategy 4: Embedded page data - pair the company URN with the current slug
+    // so URNs of "similar pages" in the sidebar are not picked up
+    const slug = this.extractCanonicalSlug();
+    if (slug) {
+      const escapedSlug = slug.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`urn:li:fsd_company:(\\d+)[^{}]{0,400}?"universalName":"${escapedSlug}"|"universalName":"${escapedSlug}"[^{}]{0,400}?urn:li:fsd_company:(\\d+)`, 'i');
+      for (const code of document.querySelectorAll(this.selectors.companyPage.embeddedData.join(', '))) {
+        const match = code.textContent.match(pattern);
+        if (match) {
+          const id = match[1] || match[2];
+          console.log('LinkedIn Scraper: Found organization ID in embedded data:', id);
+          this.recordProvenance('organizationId', 'embedded-data', this.matchedSelector(code, this.selectors.companyPage.embeddedData), 'medium');
+          return id;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No organization ID found');
+    return null;
+  }
+
+  /**
+   * Extract the card-level fields shown on a search result card
+   * The primary subtitle reads "Industry • Location", the secondary one "12K followers"
+   * @param {Element|null} card - Search result card element
+   * @returns {Object} {industry, location, followers, snippet} ('N/A' / null when not shown)
+   */
+  extractCardDetails(card) {
+    const details = { industry: 'N/A', location: 'N/A', followers: null, snippet: 'N/A' };
+    if (!card) return details;
+
+    const { searchResults } = this.selectors;
+    const primary = card.querySelector(searchResults.cardPrimarySubtitle.join(', '));
+    if (primary) {
+      const parts = primary.textContent.split(/\s+[•·]\s+/).map(part => part.trim()).filter(Boolean);
+      if (parts.length > 0 && parts[0].length < 200) {
+        details.industry = parts[0];
+      }
+      if (parts.length > 1) {
+        details.location = parts.slice(1).join(', ');
+      }
+    }
+
+    // Followers: secondary subtitle, or anywhere in the card
+    const secondary = card.querySelector(searchResults.cardSecondarySubtitle.join(', '));
+    const match = (secondary || card).textContent.match(/([\d.,]+\s*[KMB]?)\s+followers?/i);
+    if (match) {
+      details.followers = this.parseAbbreviatedCount(match[1]);
+    }
+
+    const summary = card.querySelector(searchResults.cardSummary.join(', '));
+    const snippet = summary ? summary.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (snippet) {
+      details.snippet = snippet;
+    }
+
+    return details;
+  }
+
+  /**
+   * Extract organization ID from a search result card
+   * @param {Element|null} card - Search result card element
+   * @param {string} url - Company URL found in the card
+   * @returns {string|null} Organization ID or null
+   */
+  extractOrganizationIdFromCard(card, url) {
+    if (card) {
+      const urnElements = [card, ...card.querySelectorAll(this.selectors.searchResults.cardUrnElements.join(', '))];
+      for (const element of urnElements) {
+        const id = this.parseOrganizationUrn(
+          element.getAttribute('data-chameleon-result-urn') ||
+          element.getAttribute('data-entity-urn') ||
+          element.getAttribute('data-urn')
+        );
+        if (id) {
+          return id;
+        }
+      }
+    }
+
+    // Some cards link to the numeric company URL
+    const urlMatch = (url || '').match(/\/company\/(\d+)(?:\/|$)/);
+    return urlMatch ? urlMatch[1] : null;
+  }
+
+  /**
+   * Extract the final (post-redirect) company slug
+   * @returns {string|null} Company slug or null
+   */
+  extractCanonicalSlug() {
+    const candidates = this.selectors.companyPage.canonicalUrl.map(selector => {
+      const element = document.querySelector(selector);
+      return [selector, element ? element.getAttribute('href') || element.getAttribute('content') : null];
+    });
+    candidates.push([null, window.location.href]);
+
+    for (const [selector, candidate] of candidates) {
+      const match = (candidate || '').match(/linkedin\.com\/company\/([^\/?#]+)/i);
+      if (match && match[1]) {
+        this.recordProvenance('slug', selector ? 'canonical-link' : 'page-url', selector, selector ? 'high' : 'medium');
+        return decodeURIComponent(match[1]).toLowerCase();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a company/organization URN into its numeric ID
+   * Handles urn:li:fsd_company:, urn:li:company: and urn:li:organization:
+   * @param {string} urn - URN string (may be embedded in other text)
+   * @returns {string|null} Organization ID or null
+   */
+  parseOrganizationUrn(urn) {
+    if (!urn) return null;
+    const match = String(urn).match(/urn:li:(?:fsd_company|company|organization|fs_miniCompany|fs_normalized_company):(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parse the numeric company filter from a LinkedIn search/jobs link
+   * @param {string} href - Link URL
+   * @returns {string|null} Organization ID or null (also null for multi-company filters)
+   */
+  parseCompanyFilterParam(href) {
+    try {
+      const urlObj = new URL(href, window.location.origin);
+      const raw = urlObj.searchParams.get('currentCompany') || urlObj.searchParams.get('f_C');
+      if (!raw) return null;
+      const ids = raw.match(/\d+/g);
+      return ids && ids.length === 1 ? ids[0] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extract follower count from the top card
+   * @returns {number|null} Follower count or null
+   */
+  extractFollowers() {
+    console.log('LinkedIn Scraper: Extracting followers...');
+
+    const followersPattern = /([\d.,]+\s*[KMB]?)\s+followers?/i;
+
+    // Strategy 1: Top card info items
+    for (const selector of this.selectors.companyPage.followers) {
+      for (const element of document.querySelectorAll(selector)) {
+        const match = element.textContent.match(followersPattern);
+        if (match) {
+          const followers = this.parseAbbreviatedCount(match[1]);
+          if (followers !== null) {
+            console.log('LinkedIn Scraper: Found followers with selector:', selector, followers);
+            this.recordProvenance('followers', 'selector', selector, 'high');
+            return followers;
+          }
+        }
+      }
+    }
+
+    // Strategy 2: Anywhere in the top card
+    const topCard = document.querySelector(this.selectors.companyPage.topCard.join(', '));
+    if (topCard) {
+      const match = topCard.textContent.match(followersPattern);
+      if (match) {
+        const followers = this.parseAbbreviatedCount(match[1]);
+        if (followers !== null) {
+          console.log('LinkedIn Scraper: Found followers in top card:', followers);
+          this.recordProvenance('followers', 'top-card-text', this.matchedSelector(topCard, this.selectors.companyPage.topCard), 'medium');
+          return followers;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No followers found');
+    return null;
+  }
+
+  /**
+   * Extract company logo image URL from the top card
+   * @returns {string} Logo URL or 'N/A'
+   */
+  extractLogoUrl() {
+    console.log('LinkedIn Scraper: Extracting logo...');
+
+    for (const selector of this.selectors.companyPage.logo) {
+      const image = document.querySelector(selector);
+      if (image) {
+        const src = image.currentSrc || image.src || image.getAttribute('data-delayed-url') || '';
+        // Skip placeholders (inline data URIs and LinkedIn's ghost logo)
+        if (src.startsWith('https://') && !image.classList.contains('ghost-company')) {
+          console.log('LinkedIn Scraper: Found logo with selector:', selector);
+          this.recordProvenance('logoUrl', 'selector', selector, 'high');
+          return src;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No logo found');
+    return 'N/A';
+  }
+
+  /**
+   * Detect LinkedIn's verified page badge
+   * @returns {boolean} True if the page is verified
+   */
+  extractIsVerified() {
+    console.log('LinkedIn Scraper: Extracting verified badge...');
+
+    // Strategy 1: Badge icon / label in the top card
+    const topCard = document.querySelector(this.selectors.companyPage.topCard.join(', '));
+    if (topCard) {
+      const badge = topCard.querySelector(this.selectors.companyPage.verifiedBadge.join(', '));
+      if (badge) {
+        console.log('LinkedIn Scraper: Found verified badge in top card');
+        this.recordProvenance('isVerified', 'top-card', this.matchedSelector(topCard, this.selectors.companyPage.topCard, this.matchedSelector(badge, this.selectors.companyPage.verifiedBadge)), 'high');
+        return true;
+      }
+    }
+
+    // Strategy 2: "Verified page" entry in the About page details (value is the verification date)
+    if (this.extractDetailValues('verifiedPage').length > 0) {
+      console.log('LinkedIn Scraper: Found verified page in page details');
+      this.recordDetailProvenance('isVerified');
+      return true;
+    }
+
+    console.log('LinkedIn Scraper: No verified badge found');
+    return false;
+  }
+
+  /**
+   * Extract stock exchange and ticker from the stock quote module
+   * @returns {Object|null} {exchange, ticker} or null
+   */
+  extractStock() {
+    console.log('LinkedIn Scraper: Extracting stock...');
+
+    // Strategy 1: Stock quote module on the About page
+    for (const selector of this.selectors.companyPage.stockQuote) {
+      const element = document.querySelector(selector);
+      if (element) {
+        const stock = this.parseStockText(element.innerText || element.textContent);
+        if (stock) {
+          console.log('LinkedIn Scraper: Found stock with selector:', selector, stock);
+          this.recordProvenance('stock', 'selector', selector, 'high');
+          return stock;
+        }
+      }
+    }
+
+    // Strategy 2: "Stock" entry in the About page details
+    for (const text of this.extractDetailValues('stock')) {
+      const stock = this.parseStockText(text);
+      if (stock) {
+        console.log('LinkedIn Scraper: Found stock in page details:', stock);
+        this.recordDetailProvenance('stock');
+        return stock;
+      }
+    }
+
+    console.log('LinkedIn Scraper: No stock found');
+    return null;
+  }
+
+  /**
+   * Parse stock quote text such as "NASDAQ: MSFT" or "MSFT NASDAQ - Delayed quote"
+   * @param {string} text - Stock quote text
+   * @returns {Object|null} {exchange, ticker} or null
+   */
+  parseStockText(text) {
+    if (!text) return null;
+
+    const compact = text.replace(/\s+/g, ' ').trim();
+    const exchanges = this.stockExchanges
+      .map(exchange => exchange.replace(/ /g, '\\s+'))
+      .join('|');
+    const ticker = '([A-Z0-9][A-Z0-9.\\-]{0,9})';
+
+    // "NASDAQ: MSFT" / "NYSE - IBM"
+    let match = compact.match(new RegExp(`\\b(${exchanges})\\s*[:\\-–]\\s*${ticker}\\b`));
+    if (match) {
+      return { exchange: this.normalizeExchange(match[1]), ticker: match[2] };
+    }
+
+    // "MSFT NASDAQ - Delayed quote" (ticker heading followed by the exchange line)
+    match = compact.match(new RegExp(`\\b${ticker}\\s+(${exchanges})\\b`));
+    if (match && /[A-Z]/.test(match[1])) {
+      return { exchange: this.normalizeExchange(match[2]), ticker: match[1] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map an exchange name to its canonical spelling from the known list
+   * @param {string} text - Exchange text
+   * @returns {string} Canonical exchange name
+   */
+  normalizeExchange(text) {
+    const key = text.replace(/\s+/g, ' ').trim().toLowerCase();
+    return this.stockExchanges.find(exchange => exchange.toLowerCase() === key) || text.trim();
+  }
+
+  /**
+   * Extract affiliated, showcase and parent pages from the page sidebars
+   * @returns {Array<Object>} Array of {name, url, relation} (relation is 'parent', 'subsidiary', 'affiliated' or 'showcase')
+   */
+  extractAffiliatedPages() {
+    console.log('LinkedIn Scraper: Extracting affiliated pages...');
+
+    // Section headings -> relation of the pages listed under them
+    const headingRelations = [
+      { pattern: /parent (page|company|organization)/i, relation: 'parent' },
+      { pattern: /showcase pages?/i, relation: 'showcase' },
+      { pattern: /affiliated pages?/i, relation: 'affiliated' }
+    ];
+
+    const currentSlug = this.extractCanonicalSlug();
+    const pages = [];
+    const seen = new Set();
+    let affiliatedSelector = null;
+
+    for (const heading of document.querySelectorAll(this.selectors.companyPage.sidebarHeadings.join(', '))) {
+      const match = headingRelations.find(({ pattern }) => pattern.test(heading.textContent));
+      if (!match) continue;
+
+      const section = heading.closest('section') || heading.parentElement;
+
+      for (const link of section.querySelectorAll(this.selectors.companyPage.affiliatedPageLinks.join(', '))) {
+        const url = this.normalizeOrganizationPageUrl(link.href);
+        if (!url || seen.has(url)) continue;
+
+        const slug = url.split('/').pop();
+        if (currentSlug && slug === currentSlug) continue;
+
+        const item = link.closest('li') || link;
+        const nameElement = item.querySelector(this.selectors.companyPage.affiliatedPageName.join(', '));
+        const name = (nameElement || link).textContent.trim().split('\n')[0].trim();
+        if (!name) continue;
+
+        // Individual cards can be labelled as the parent or a subsidiary
+        const itemText = item.innerText || item.textContent;
+        let relation = match.relation;
+        if (/\bparent\b/i.test(itemText)) {
+          relation = 'parent';
+        } else if (/\bsubsidiar(y|ies)\b/i.test(itemText)) {
+          relation = 'subsidiary';
+        }
+
+        seen.add(url);
+        pages.push({ name, url, relation });
+        affiliatedSelector = affiliatedSelector || this.matchedSelector(link, this.selectors.companyPage.affiliatedPageLinks);
+      }
+    }
+
+    console.log('LinkedIn Scraper: Found affiliated pages:', pages.length);
+    if (pages.length > 0) {
+      this.recordProvenance('affiliatedPages', 'sidebar-sections', affiliatedSelector, 'high');
+    }
+    return pages;
+  }
+
+  /**
+   * Normalize a LinkedIn company / showcase page link to its base URL
+   * @param {string} href - Link href
+   * @returns {string|null} e.g. "https://www.linkedin.com/showcase/acme-cloud" or null
+   */
+  normalizeOrganizationPageUrl(href) {
+    const match = (href || '').match(/linkedin\.com\/(company|showcase)\/([^/?#]+)/i);
+    if (!match) return null;
+    return `https://www.linkedin.com/${match[1].toLowerCase()}/${decodeURIComponent(match[2]).toLowerCase()}`;
+  }
+
+  /**
+   * Parse an abbreviated count such as "12K", "1.2M" or "3,456"
+   * @param {string} text - Count text
+   * @returns {number|null} Parsed count or null
+   */
+  parseAbbreviatedCount(text) {
+    if (!text) return null;
+
+    const match = String(text).replace(/\s+/g, '').match(/^([\d.,]+)([KMB])?$/i);
+    if (!match) return null;
+
+    const suffix = (match[2] || '').toUpperCase();
+    if (!suffix) {
+      return this.parseCount(match[1]);
+    }
+
+    // With a suffix the number is a decimal ("1.2M"); treat a comma as decimal separator too
+    const value = parseFloat(match[1].replace(',', '.'));
+    if (isNaN(value)) return null;
+
+    const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+    return Math.round(value * multipliers[suffix]);
+  }
+
+  /**
+   * Extract company tagline from the top card
+   * @returns {string} Tagline or 'N/A'
+   */
+  extractTagline() {
+    console.log('LinkedIn Scraper: Extracting tagline...');
+
+    for (const selector of this.selectors.companyPage.tagline) {
+      const element = document.querySelector(selector);
+      if (element) {
+        const tagline = this.normalizeText(element.textContent);
+        if (tagline) {
+          console.log('LinkedIn Scraper: Found tagline with selector:', selector);
+          this.recordProvenance('tagline', 'selector', selector, 'high');
+          return tagline;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No tagline found');
+    return 'N/A';
+  }
+
+  /**
+   * Extract the company overview paragraph from the About page
+   * @returns {string} Overview text or 'N/A'
+   */
+  extractDescription() {
+    console.log('LinkedIn Scraper: Extracting description...');
+
+    // Strategy 1: Dedicated About section selectors
+    for (const selector of this.selectors.companyPage.description) {
+      const element = document.querySelector(selector);
+      if (element) {
+        const description = this.normalizeText(element.innerText || element.textContent);
+        if (description) {
+          console.log('LinkedIn Scraper: Found description with selector:', selector);
+          this.recordProvenance('description', 'selector', selector, 'high');
+          return description;
+        }
+      }
+    }
+
+    // Strategy 2: Paragraph following the "Overview" heading
+    const headings = document.querySelectorAll(this.selectors.companyPage.overviewHeadings.join(', '));
+    for (const heading of headings) {
+      if (this.matchesLabel(heading.textContent, 'overview', true)) {
+        const section = heading.closest('section') || heading.parentElement;
+        const paragraph = section ? section.querySelector('p') : null;
+        if (paragraph) {
+          const description = this.normalizeText(paragraph.innerText || paragraph.textContent);
+          if (description) {
+            console.log('LinkedIn Scraper: Found description under Overview heading');
+            // The heading selector located the paragraph (the first p of the heading's section)
+            this.recordProvenance('description', 'overview-heading', this.matchedSelector(heading, this.selectors.companyPage.overviewHeadings), 'medium');
+            return description;
+          }
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No description found');
+    return 'N/A';
+  }
+
+  /**
+   * Normalize whitespace in free text
+   * Collapses runs of spaces/tabs, trims each line and keeps at most
+   * one blank line between paragraphs
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    if (!text) return '';
+
+    return text
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Extract all office locations from the About page "Locations" section
+   * @returns {Array<Object>} Locations {addressLines, city, region, postalCode, country, isPrimary}
+   */
+  extractLocations() {
+    console.log('LinkedIn Scraper: Extracting locations...');
+
+    let cards = [];
+    let cardSelector = null;
+    for (const selector of this.selectors.companyPage.locationCards) {
+      cards = Array.from(document.querySelectorAll(selector));
+      if (cards.length > 0) {
+        cardSelector = selector;
+        console.log(`LinkedIn Scraper: Found ${cards.length} location cards with selector:`, selector);
+        break;
+      }
+    }
+
+    // Fallback: paragraphs inside the locations module
+    if (cards.length === 0) {
+      const module = document.querySelector(this.selectors.companyPage.locationsModule.join(', '));
+      if (module) {
+        cards = Array.from(module.querySelectorAll('li, p')).filter(el => !el.querySelector('li, p'));
+      }
+    }
+
+    const locations = [];
+    const seen = new Set();
+
+    for (const card of cards) {
+      const addressElement = card.querySelector(this.selectors.companyPage.locationAddress.join(', ')) || card;
+      const lines = (addressElement.innerText || addressElement.textContent || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line && !/^(primary|get directions)$/i.test(line));
+
+      if (lines.length === 0) continue;
+
+      const location = LocationParser.parseAddress(lines);
+      if (!location) continue;
+
+      const key = LocationParser.formatLocation(location).toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const primaryLabel = card.querySelector(this.selectors.companyPage.locationPrimaryLabel.join(', '));
+      location.isPrimary = Boolean(primaryLabel) || /\bprimary\b/i.test(card.textContent.replace(addressElement.textContent, ''));
+
+      locations.push(location);
+    }
+
+    console.log(`LinkedIn Scraper: Found ${locations.length} locations`);
+    if (locations.length > 0) {
+      this.recordProvenance('locations', 'location-cards', cardSelector, cardSelector ? 'high' : 'medium');
+    }
+    return locations;
+  }
+
+  /**
+   * Extract company size bucket (e.g. "11-50 employees")
+   * @returns {Object} {label: string, min: number|null, max: number|null}
+   */
+  extractCompanySize() {
+    console.log('LinkedIn Scraper: Extracting company size...');
+
+    // Strategy 1: Look in the About page dt/dd list
+    // The "Company size" dt is followed by one dd for the bucket and
+    // (usually) a second dd for the associated members count
+    const sizeValues = this.extractDetailValues('companySize');
+    for (const text of sizeValues) {
+      const size = this.parseCompanySize(text);
+      if (size) {
+        console.log('LinkedIn Scraper: Found company size in page details:', size.label);
+        this.recordDetailProvenance('companySize');
+        return size;
+      }
+    }
+
+    // Strategy 2: Try top card selectors
+    for (const selector of this.selectors.companyPage.companySize) {
+      const elements = document.querySelectorAll(selector);
+      for (const element of elements) {
+        const size = this.parseCompanySize(element.textContent.trim());
+        if (size) {
+          console.log('LinkedIn Scraper: Found company size with selector:', selector, size.label);
+          this.recordProvenance('companySize', 'selector', selector, 'medium');
+          return size;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No company size found');
+    return { label: 'N/A', min: null, max: null };
+  }
+
+  /**
+   * Extract number of LinkedIn members associated with the company
+   * @returns {number|null} Associated members count or null
+   */
+  extractAssociatedMembers() {
+    console.log('LinkedIn Scraper: Extracting associated members...');
+
+    const membersPattern = new RegExp(`([\\d.,]+)\\s*${this.getValueWordPattern('associatedMembers')}`, 'i');
+
+    // Strategy 1: Look under the "Company size" dt in the About page dt/dd list
+    for (const text of this.extractDetailValues('companySize')) {
+      const match = text.match(membersPattern);
+      if (match) {
+        const count = this.parseCount(match[1]);
+        if (count !== null) {
+          console.log('LinkedIn Scraper: Found associated members in page details:', count);
+          this.recordDetailProvenance('associatedMembers');
+          return count;
+        }
+      }
+    }
+
+    // Strategy 2: Dedicated element used on some About page layouts
+    const membersSelector = this.selectors.companyPage.associatedMembers.join(', ');
+    const membersElement = document.querySelector(membersSelector);
+    if (membersElement) {
+      const match = membersElement.textContent.match(membersPattern);
+      if (match) {
+        const count = this.parseCount(match[1]);
+        if (count !== null) {
+          console.log('LinkedIn Scraper: Found associated members with selector:', count);
+          this.recordProvenance('associatedMembers', 'selector', membersSelector, 'medium');
+          return count;
+        }
+      }
+    }
+
+    // Strategy 3: Search the about sections for the pattern
+    const aboutSections = document.querySelectorAll(this.selectors.companyPage.associatedMembersContext.join(', '));
+    for (const section of aboutSections) {
+      const match = section.textContent.match(membersPattern);
+      if (match) {
+        const count = this.parseCount(match[1]);
+        if (count !== null) {
+          console.log('LinkedIn Scraper: Found associated members from context search:', count);
+          this.recordProvenance('associatedMembers', 'text-context', null, 'low');
+          return count;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No associated members found');
+    return null;
+  }
+
+  /**
+   * Extract founded year
+   * @returns {number|null} Founded year or null
+   */
+  extractFoundedYear() {
+    console.log('LinkedIn Scraper: Extracting founded year...');
+
+    for (const text of this.extractDetailValues('founded')) {
+      const match = text.match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+      if (match) {
+        const year = parseInt(match[1], 10);
+        if (year <= new Date().getFullYear()) {
+          console.log('LinkedIn Scraper: Found founded year:', year);
+          this.recordDetailProvenance('foundedYear');
+          return year;
+        }
+      }
+    }
+
+    console.log('LinkedIn Scraper: No founded year found');
+    return null;
+  }
+
+  /**
+   * Extract company type (Public Company, Privately Held, etc.)
+   * @returns {string} One of this.companyTypes, 'Other', or 'N/A'
+   */
+  extractCompanyType() {
+    console.log('LinkedIn Scraper: Extracting company type...');
+
+    for (const text of this.extractDetailValues('companyType')) {
+      const type = this.normalizeCompanyType(text);
+      if (type) {
+        console.log('LinkedIn Scraper: Found company type:', type);
+        this.recordDetailProvenance('companyType', type === 'Other' ? 'medium' : null);
+        return type;
+      }
+    }
+
+    console.log('LinkedIn Scraper: No company type found');
+    return 'N/A';
+  }
+
+  /**
+   * Extract company specialties
+   * @returns {Array<string>} Specialties (empty array if not found)
+   */
+  extractSpecialties() {
+    console.log('LinkedIn Scraper: Extracting specialties...');
+
+    for (const text of this.extractDetailValues('specialties')) {
+      const specialties = this.parseSpecialties(text);
+      if (specialties.length > 0) {
+        console.log(`LinkedIn Scraper: Found ${specialties.length} specialties`);
+        this.recordDetailProvenance('specialties');
+        return specialties;
+      }
+    }
+
+    console.log('LinkedIn Scraper: No specialties found');
+    return [];
+  }
+
+  /**
+   * Extract the dd text values for an About page dt/dd field
+   * Uses the same fallbacks as the individual field extractors:
+   * page details section first, then any dt/dd on the page
+   * @param {string} field - Field key in LABEL_DICTIONARY (dt labels are matched in the page language)
+   * @returns {Array<string>} Trimmed dd texts (empty array if not found)
+   */
+  extractDetailValues(field) {
+    const matchesLabel = (dt) => this.matchesLabel(dt.textContent, field);
+
+    const collect = (dt) => {
+      return this.getDefinitionValues(dt)
+        .map(dd => dd.textContent.replace(/\s+/g, ' ').trim())
+        .filter(text => text && !this.matchesLabel(text, field, true));
+    };
+
+    // Strategy 1: Look in page details section (most reliable on About page)
+    const pageDetails = document.querySelector(this.selectors.companyPage.pageDetails.join(', '));
+    if (pageDetails) {
+      for (const dt of pageDetails.querySelectorAll('dt')) {
+        if (matchesLabel(dt)) {
+          const values = collect(dt);
+          if (values.length > 0) {
+            this.lastDetailSource = { strategy: 'page-details', selector: this.matchedSelector(pageDetails, this.selectors.companyPage.pageDetails, 'dt + dd'), confidence: 'high' };
+            return values;
+          }
+        }
+      }
+    }
+
+    // Strategy 2: Look anywhere for an exactly matching label
+    for (const dt of document.querySelectorAll('dt')) {
+      if (this.matchesLabel(dt.textContent, field, true)) {
+        const values = collect(dt);
+        if (values.length > 0) {
+          this.lastDetailSource = { strategy: 'dt-dd', selector: 'dt + dd', confidence: 'medium' };
+          return values;
+        }
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Map a displayed company type onto the fixed set of types
+   * @param {string} text - Raw type text
+   * @returns {string|null} Canonical type, 'Other', or null if empty
+   */
+  normalizeCompanyType(text) {
+    if (!text) return null;
+
+    const cleaned = text.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!cleaned) return null;
+
+    const type = this.companyTypes.find(t => cleaned === t.toLowerCase() || cleaned.includes(t.toLowerCase()));
+    return type || 'Other';
+  }
+
+  /**
+   * Split a specialties string ("SEO, PPC, and Content") into an array
+   * @param {string} text - Raw specialties text
+   * @returns {Array<string>} Specialties
+   */
+  parseSpecialties(text) {
+    if (!text) return [];
+
+    const seen = new Set();
+    return text
+      .split(/[,;\n]/)
+      .map(item => item.replace(/^\s*(and|&)\s+/i, '').trim())
+      .filter(item => {
+        const key = item.toLowerCase();
+        if (!item || item.length > 100 || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Parse a company size bucket into numeric bounds
+   * Handles "11-50 employees", "10,001+ employees" and "1 employee"
+   * @param {string} text - Raw size text
+   * @returns {Object|null} {label, min, max} or null if not parseable
+   */
+  parseCompanySize(text) {
+    if (!text) return null;
+
+    const cleaned = text.replace(/\s+/g, ' ').trim();
+    const unit = this.getValueWordPattern('employees');
+
+    // Range: "11-50 employees" (LinkedIn sometimes uses an en dash)
+    const rangeMatch = cleaned.match(new RegExp(`([\\d.,]+)\\s*[-–—]\\s*([\\d.,]+)\\s*${unit}`, 'i'));
+    if (rangeMatch) {
+      return {
+        label: rangeMatch[0],
+        min: this.parseCount(rangeMatch[1]),
+        max: this.parseCount(rangeMatch[2])
+      };
+    }
+
+    // Open-ended: "10,001+ employees"
+    const openMatch = cleaned.match(new RegExp(`([\\d.,]+)\\s*\\+\\s*${unit}`, 'i'));
+    if (openMatch) {
+      return {
+        label: openMatch[0],
+        min: this.parseCount(openMatch[1]),
+        max: null
+      };
+    }
+
+    // Single value: "1 employee"
+    const singleMatch = cleaned.match(new RegExp(`([\\d.,]+)\\s*${unit}`, 'i'));
+    if (singleMatch) {
+      const count = this.parseCount(singleMatch[1]);
+      return {
+        label: singleMatch[0],
+        min: count,
+        max: count
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a displayed count such as "1,234" into a number
+   * @param {string} text - Count text
+   * @returns {number|null} Parsed count or null
+   */
+  parseCount(text) {
+    if (!text) return null;
+    const digits = String(text).replace(/[^\d]/g, '');
+    if (!digits) return null;
+    const count = parseInt(digits, 10);
+    return isNaN(count) ? null : count;
+  }
+
+  /**
+   * Record which strategy produced a field; exported as data._meta.fields
+   * Confidence: 'high' for dedicated page-details / top-card elements, 'medium' for
+   * generic selectors or labels found outside the details list, 'low' for text-regex guesses
+   * @param {string} field - Data field name (e.g. 'phone')
+   * @param {string} strategy - Strategy identifier (e.g. 'page-details', 'text-context')
+   * @param {string|null} selector - Selector that matched, or null for URL / text searches
+   * @param {string} confidence - 'high', 'medium' or 'low'
+   */
+  recordProvenance(field, strategy, selector, confidence) {
+    this.provenance[field] = { strategy, selector, confidence };
+  }
+
+  /**
+   * Name the profile selector an element was found with, for provenance
+   * @param {Element} element - Element found through a selector list
+   * @param {Array<string>} selectors - Selector list it was queried with
+   * @param {string} inner - Selector used inside the element, appended with a space (optional)
+   * @returns {string} The first matching entry (the whole list if none matches) plus the inner part
+   */
+  matchedSelector(element, selectors, inner = '') {
+    const matched = selectors.find(selector => {
+      try {
+        return element.matches(selector);
+      } catch (error) {
+        return false; // Invalid selector in the profile
+      }
+    }) || selectors.join(', ');
+    return inner ? `${matched} ${inner}` : matched;
+  }
+
+  /**
+   * Record provenance for a field read through extractDetailValues()
+   * @param {string} field - Data field name
+   * @param {string|null} confidence - Override the strategy's confidence
+   */
+  recordDetailProvenance(field, confidence = null) {
+    const source = this.lastDetailSource || { strategy: 'dt-dd', selector: null, confidence: 'medium' };
+    this.recordProvenance(field, source.strategy, source.selector, confidence || source.confidence);
+  }
+
+  /**
+   * Detect the page language from <html lang> (LinkedIn sets it to the UI language)
+   * @returns {string|null} Primary language subtag such as 'de', or null if unknown
+   */
+  detectLanguage() {
+    const lang = (document.documentElement.lang || '').trim().toLowerCase();
+    if (!lang) return null;
+
+    const primary = lang.split(/[-_]/)[0];
+    const aliases = { nb: 'no', nn: 'no', in: 'id' };
+    return aliases[primary] || primary;
+  }
+
+  /**
+   * Get the normalized labels of a field for the page language
+   * English is always included; every language is used when the page language
+   * is unknown or has no entry for the field
+   * @param {string} field - Field key in LABEL_DICTIONARY
+   * @returns {Array<string>} Normalized labels
+   */
+  getLabels(field) {
+    const translations = LABEL_DICTIONARY[field] || {};
+    const language = this.detectLanguage();
+    const languages = language && translations[language]
+      ? ['en', language]
+      : Object.keys(translations);
+
+    const labels = languages
+      .flatMap(lang => translations[lang] || [])
+      .map(label => this.normalizeLabel(label));
+    return [...new Set(labels)];
+  }
+
+  /**
+   * Build a regex group matching the value words of a field (e.g. 'employees') in the page language
+   * Longer words come first so "results" wins over "result"; spaces match any whitespace
+   * @param {string} field - Field key in LABEL_DICTIONARY
+   * @returns {string} Non-capturing regex group
+   */
+  getValueWordPattern(field) {
+    return `(?:${this.getLabels(field)
+      .sort((a, b) => b.length - a.length)
+      .map(word => this.escapeRegExp(word).replace(/ /g, '\\s+'))
+      .join('|')})`;
+  }
+
+  /**
+   * Check whether a dt / heading text is a label of a field
+   * @param {string} text - Label text
+   * @param {string} field - Field key in LABEL_DICTIONARY
+   * @param {boolean} exact - Require an exact match instead of containment
+   * @returns {boolean} True if the text matches one of the field's labels
+   */
+  matchesLabel(text, field, exact = false) {
+    const normalized = this.normalizeLabel(text);
+    if (!normalized) return false;
+    return this.getLabels(field).some(label =>
+      normalized === label || (!exact && normalized.includes(label))
+    );
+  }
+
+  /**
+   * Normalize label text for comparison (lowercase, single spaces, straight apostrophes, no trailing colon)
+   * @param {string} text - Label text
+   * @returns {string} Normalized label
+   */
+  normalizeLabel(text) {
+    return String(text || '')
+      .replace(/[’‘]/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/\s*:$/, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Escape a string for use inside a RegExp
+   * @param {string} text - Literal text
+   * @returns {string} Escaped pattern
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Get all dd elements belonging to a dt (until the next dt)
+   * @param {Element} dt - Definition term element
+   * @returns {Array<Element>} Following dd elements
+   */
+  getDefinitionValues(dt) {
+    const values = [];
+    let sibling = dt.nextElementSibling;
+    while (sibling && sibling.tagName !== 'DT') {
+      if (sibling.tagName === 'DD') {
+        values.push(sibling);
+      }
+      sibling = sibling.nextElementSibling;
+    }
+    return values;
+  }
+
   /**
    * Check if there's a next page in search results
    * @returns {boolean} True if next page exists
    */
   hasNextPage() {
     // Try multiple selectors for next button
-    const selectors = [
-      this.selectors.searchResults.paginationNext,
-      'button[aria-label="Next"]',
-      'button[aria-label*="Next"]',
-      '.artdeco-pagination__button--next',
-      'button.artdeco-pagination__button[aria-label*="Next"]'
-    ];
-    
-    for (const selector of selectors) {
+    for (const selector of this.selectors.pagination.nextButton) {
       const nextButton = document.querySelector(selector);
       if (nextButton && 
           !nextButton.disabled && 
@@ -707,6 +1905,23 @@ class LinkedInExtractor {
     return false;
   }
 
+  /**
+   * Read the total result count shown above the search results ("About 1,234 results"),
+   * with the word for "results" matched in the page language
+   * @returns {number|null} Result count, or null if the page doesn't show one
+   */
+  getSearchResultCount() {
+    const resultsPattern = new RegExp(`([\\d.,]+\\s*[KMB]?)\\+?\\s*${this.getValueWordPattern('results')}`, 'i');
+    const elements = document.querySelectorAll(this.selectors.searchResults.resultCount.join(', '));
+    for (const element of elements) {
+      const match = element.textContent.replace(/\s+/g, ' ').match(resultsPattern);
+      if (match) {
+        return this.parseAbbreviatedCount(match[1]);
+      }
+    }
+    return null;
+  }
+
   /**
    * Click next page button with improved reliability
    * @returns {Promise<boolean>} True if successful
@@ -716,14 +1931,8 @@ class LinkedInExtractor {
     
     // Try multiple selectors for next button
     const selectors = [
-      this.selectors.searchResults.paginationNext,
-      'button[aria-label="Next"]',
-      'button[aria-label*="Next"]',
-      '.artdeco-pagination__button--next',
-      'button.artdeco-pagination__button[aria-label*="Next"]',
-      'button[data-test-pagination-page-btn="next"]',
-      'button.artdeco-pagination__indicator--active + button',
-      '.artdeco-pagination__pages button:last-child'
+      ...this.selectors.pagination.nextButton,
+      ...this.selectors.pagination.nextButtonFallbacks
     ];
     
     let nextButton = null;
@@ -746,7 +1955,7 @@ class LinkedInExtractor {
     if (!nextButton) {
       console.error('LinkedIn Scraper: Could not find clickable next page button');
       // Debug: log what pagination buttons exist
-      const allButtons = document.querySelectorAll('.artdeco-pagination button, button[aria-label*="Next"], button[aria-label*="next"]');
+      const allButtons = document.querySelectorAll(this.selectors.pagination.allButtons.join(', '));
       console.log(`LinkedIn Scraper: Found ${allButtons.length} pagination buttons`);
       allButtons.forEach((btn, i) => {
         console.log(`  Button ${i + 1}:`, {
@@ -876,8 +2085,8 @@ class LinkedInExtractor {
     return new Promise((resolve) => {
       const checkReady = () => {
         // Check if skeleton loader is gone
-        const skeletonLoader = document.querySelector('.app-boot-bg-skeleton, .skeleton-loader, .initial-load-animation');
-        const hasContent = document.querySelector('.org-top-card-summary, .org-about-us-organization-description, .org-page-details');
+        const skeletonLoader = document.querySelector(this.selectors.page.skeletonLoader.join(', '));
+        const hasContent = document.querySelector(this.selectors.companyPage.pageContent.join(', '));
         
         if (!skeletonLoader && hasContent) {
           console.log('LinkedIn Scraper: Page is ready (skeleton gone, content present)');
@@ -3,6 +3,8 @@
 class SidePanelUI {
   constructor() {
     this.companies = [];
+    // URLs of the rows ticked for a refresh run
+    this.selectedForRefresh = new Set();
     this.state = {
       isRunning: false,
       isPaused: false,
@@ -20,6 +22,9 @@ class SidePanelUI {
     this.initializeElements();
     this.attachEventListeners();
     this.initializeTheme();
+    this.initializeExportPreferences();
+    this.initializeSelectorProfile();
+    this.initializeFilterRules();
     this.loadInitialData();
   }
 
@@ -65,6 +70,12 @@ class SidePanelUI {
     this.exportCsvBtn = document.getElementById('exportCsvBtn');
     this.clearBtn = document.getElementById('clearBtn');
     
+    // Interrupted run
+    this.interruptedRunSection = document.getElementById('interruptedRunSection');
+    this.interruptedRunText = document.getElementById('interruptedRunText');
+    this.resumeInterruptedBtn = document.getElementById('resumeInterruptedBtn');
+    this.discardInterruptedBtn = document.getElementById('discardInterruptedBtn');
+    
     // Import elements
     this.importJsonBtn = document.getElementById('importJsonBtn');
     this.importJsonInput = document.getElementById('importJsonInput');
@@ -76,6 +87,56 @@ class SidePanelUI {
     
     // Configuration
     this.maxPagesInput = document.getElementById('maxPages');
+    this.startPageInput = document.getElementById('startPage');
+    this.endPageInput = document.getElementById('endPage');
+    this.untilEndInput = document.getElementById('untilEndOfResults');
+    this.includeMetaInput = document.getElementById('includeMetaInExport');
+    this.changedSinceInput = document.getElementById('changedSinceDate');
+    this.collectionModeSelect = document.getElementById('collectionMode');
+    this.reviewCandidatesInput = document.getElementById('reviewCandidates');
+    
+    // Candidate queue
+    this.candidateQueue = { companies: [] };
+    this.candidateQueueDetails = document.getElementById('candidateQueueDetails');
+    this.candidateQueueInfo = document.getElementById('candidateQueueInfo');
+    this.candidateList = document.getElementById('candidateList');
+    this.startDeepPassBtn = document.getElementById('startDeepPassBtn');
+    this.clearCandidatesBtn = document.getElementById('clearCandidatesBtn');
+    
+    // Selector profile editor
+    this.selectorProfileInfo = document.getElementById('selectorProfileInfo');
+    this.selectorProfileName = document.getElementById('selectorProfileName');
+    this.selectorProfileEditor = document.getElementById('selectorProfileEditor');
+    this.saveSelectorProfileBtn = document.getElementById('saveSelectorProfileBtn');
+    this.resetSelectorProfileBtn = document.getElementById('resetSelectorProfileBtn');
+    this.importSelectorProfileBtn = document.getElementById('importSelectorProfileBtn');
+    this.importSelectorProfileInput = document.getElementById('importSelectorProfileInput');
+    this.exportSelectorProfileBtn = document.getElementById('exportSelectorProfileBtn');
+    
+    // Filter rules
+    this.filterRulesInfo = document.getElementById('filterRulesInfo');
+    this.includeRulesEditor = document.getElementById('includeRulesEditor');
+    this.excludeRulesEditor = document.getElementById('excludeRulesEditor');
+    this.saveFilterRulesBtn = document.getElementById('saveFilterRulesBtn');
+    this.clearFilterRulesBtn = document.getElementById('clearFilterRulesBtn');
+    
+    // Company list
+    this.companyListInfo = document.getElementById('companyListInfo');
+    this.companyListInput = document.getElementById('companyListInput');
+    this.startListBtn = document.getElementById('startListBtn');
+    this.loadCompanyListBtn = document.getElementById('loadCompanyListBtn');
+    this.companyListFileInput = document.getElementById('companyListFileInput');
+    
+    // Refresh runs
+    this.refreshAgeDaysInput = document.getElementById('refreshAgeDays');
+    this.refreshOldBtn = document.getElementById('refreshOldBtn');
+    this.refreshSelectedBtn = document.getElementById('refreshSelectedBtn');
+    this.refreshSelectedCount = document.getElementById('refreshSelectedCount');
+    
+    // Page diagnostics
+    this.diagnoseBtn = document.getElementById('diagnoseBtn');
+    this.copyDiagnosticsBtn = document.getElementById('copyDiagnosticsBtn');
+    this.diagnosticsReport = document.getElementById('diagnosticsReport');
     
     // Status displays
     this.statusText = document.getElementById('statusText');
@@ -124,6 +185,9 @@ class SidePanelUI {
     this.exportJsonBtn.addEventListener('click', () => this.handleExportJSON());
     this.exportCsvBtn.addEventListener('click', () => this.handleExportCSV());
     this.clearBtn.addEventListener('click', () => this.handleClear());
+    this.untilEndInput.addEventListener('change', () => this.updatePageRangeInputs());
+    this.resumeInterruptedBtn.addEventListener('click', () => this.handleResumeInterrupted());
+    this.discardInterruptedBtn.addEventListener('click', () => this.handleDiscardInterrupted());
     
     // Import event listeners
     this.importJsonBtn.addEventListener('click', () => this.importJsonInput.click());
@@ -134,6 +198,51 @@ class SidePanelUI {
     // Theme toggle listener
     this.themeToggle.addEventListener('click', () => this.toggleTheme());
     
+    // Export preference
+    this.includeMetaInput.addEventListener('change', () => {
+      chrome.storage.local.set({ includeMetaInExport: this.includeMetaInput.checked });
+    });
+    this.collectionModeSelect.addEventListener('change', () => {
+      chrome.storage.local.set({ collectionMode: this.collectionModeSelect.value });
+    });
+    this.reviewCandidatesInput.addEventListener('change', () => {
+      chrome.storage.local.set({ reviewCandidates: this.reviewCandidatesInput.checked });
+    });
+    
+    // Candidate queue
+    this.startDeepPassBtn.addEventListener('click', () => this.handleStartDeepPass());
+    this.clearCandidatesBtn.addEventListener('click', () => this.handleClearCandidates());
+    this.candidateList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.btn-remove-candidate');
+      if (removeBtn) {
+        this.handleRemoveCandidate(removeBtn.getAttribute('data-url'));
+      }
+    });
+    
+    // Selector profile editor
+    this.saveSelectorProfileBtn.addEventListener('click', () => this.handleSaveSelectorProfile());
+    this.resetSelectorProfileBtn.addEventListener('click', () => this.handleResetSelectorProfile());
+    this.importSelectorProfileBtn.addEventListener('click', () => this.importSelectorProfileInput.click());
+    this.importSelectorProfileInput.addEventListener('change', (e) => this.handleImportSelectorProfile(e));
+    this.exportSelectorProfileBtn.addEventListener('click', () => this.handleExportSelectorProfile());
+    
+    // Filter rules
+    this.saveFilterRulesBtn.addEventListener('click', () => this.handleSaveFilterRules());
+    this.clearFilterRulesBtn.addEventListener('click', () => this.handleClearFilterRules());
+    
+    // Company list
+    this.startListBtn.addEventListener('click', () => this.handleStartList());
+    this.loadCompanyListBtn.addEventListener('click', () => this.companyListFileInput.click());
+    this.companyListFileInput.addEventListener('change', (e) => this.handleLoadCompanyList(e));
+    
+    // Refresh runs
+    this.refreshOldBtn.addEventListener('click', () => this.handleRefreshOld());
+    this.refreshSelectedBtn.addEventListener('click', () => this.handleRefreshSelected());
+    
+    // Page diagnostics
+    this.diagnoseBtn.addEventListener('click', () => this.handleDiagnosePage());
+    this.copyDiagnosticsBtn.addEventListener('click', () => this.handleCopyDiagnostics());
+    
     // Modal event listeners
     this.modalOk.addEventListener('click', () => this.hideModal());
     this.modalClose.addEventListener('click', () => this.hideModal());
@@ -168,6 +277,397 @@ class SidePanelUI {
     });
   }
 
+  /**
+   * Restore export and collection preferences from storage
+   */
+  initializeExportPreferences() {
+    chrome.storage.local.get(['includeMetaInExport', 'collectionMode', 'reviewCandidates'], (result) => {
+      this.includeMetaInput.checked = result.includeMetaInExport === true;
+      this.collectionModeSelect.value = result.collectionMode === 'card' ? 'card' : 'deep';
+      this.reviewCandidatesInput.checked = result.reviewCandidates === true;
+    });
+  }
+
+  /**
+   * Load the stored filter rules into the editors
+   */
+  initializeFilterRules() {
+    chrome.storage.local.get(['filter_rules'], (result) => {
+      this.renderFilterRules(result.filter_rules || { include: [], exclude: [] });
+    });
+  }
+
+  /**
+   * Show filter rules in the editors, one rule per line
+   * @param {Object} rules - {include: [rule], exclude: [rule]}
+   */
+  renderFilterRules(rules) {
+    this.includeRulesEditor.value = rules.include.map(rule => this.formatFilterRule(rule)).join('\n');
+    this.excludeRulesEditor.value = rules.exclude.map(rule => this.formatFilterRule(rule)).join('\n');
+    
+    const count = rules.include.length + rules.exclude.length;
+    this.filterRulesInfo.textContent = count === 0
+      ? 'None'
+      : `${rules.include.length} include, ${rules.exclude.length} exclude`;
+  }
+
+  /**
+   * Parse one editor's text into rules
+   * Line format: "[field:] keyword, keyword" or "[field:] /regex/flags"
+   * @param {string} text - Editor contents
+   * @param {string} listName - 'Include' or 'Exclude' (for error messages)
+   * @returns {Array} Rules {field, type, keywords} or {field, type, pattern, flags}
+   * @throws {Error} Naming the offending line
+   */
+  parseFilterRules(text, listName) {
+    const rules = [];
+    const lines = text.split('\n');
+    
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      
+      const fieldMatch = line.match(/^(name|industry|location|snippet|any)\s*:\s*(.*)$/i);
+      const field = fieldMatch ? fieldMatch[1].toLowerCase() : 'any';
+      const value = fieldMatch ? fieldMatch[2].trim() : line;
+      
+      const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+      if (regexMatch) {
+        try {
+          new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (error) {
+          throw new Error(`${listName} rules, line ${index + 1}: ${error.message}`);
+        }
+        rules.push({ field, type: 'regex', pattern: regexMatch[1], flags: regexMatch[2] });
+        return;
+      }
+      
+      const keywords = value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+      if (keywords.length === 0) {
+        throw new Error(`${listName} rules, line ${index + 1}: no keywords or /regex/ given.`);
+      }
+      rules.push({ field, type: 'keywords', keywords });
+    });
+    
+    return rules;
+  }
+
+  /**
+   * Format a rule the way it is typed in the editor
+   */
+  formatFilterRule(rule) {
+    const value = rule.type === 'regex' ? `/${rule.pattern}/${rule.flags || ''}` : rule.keywords.join(', ');
+    return rule.field === 'any' ? value : `${rule.field}: ${value}`;
+  }
+
+  /**
+   * Validate and store the edited filter rules (used from the next results page on)
+   */
+  async handleSaveFilterRules() {
+    try {
+      const rules = {
+        include: this.parseFilterRules(this.includeRulesEditor.value, 'Include'),
+        exclude: this.parseFilterRules(this.excludeRulesEditor.value, 'Exclude')
+      };
+      
+      await chrome.storage.local.set({ filter_rules: rules });
+      this.renderFilterRules(rules);
+      this.updateStatus('Filter rules saved', 'success');
+      setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+    } catch (error) {
+      this.showModal('Filter Rules Error', error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Remove all filter rules
+   */
+  async handleClearFilterRules() {
+    await chrome.storage.local.remove('filter_rules');
+    this.renderFilterRules({ include: [], exclude: [] });
+    this.updateStatus('Filter rules cleared', 'success');
+    setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+  }
+
+  /**
+   * Load the stored selector profile into the editor
+   */
+  initializeSelectorProfile() {
+    chrome.storage.local.get([SelectorProfile.STORAGE_KEY], (result) => {
+      this.selectorProfile = result[SelectorProfile.STORAGE_KEY] || null;
+      this.renderSelectorProfile();
+    });
+  }
+
+  /**
+   * Show the effective selectors (defaults plus overrides) in the editor
+   */
+  renderSelectorProfile() {
+    const profile = this.selectorProfile;
+    let selectors;
+    try {
+      selectors = SelectorProfile.resolve(profile);
+    } catch (error) {
+      console.warn('Side Panel: Stored selector profile is invalid, showing defaults:', error.message);
+      selectors = SelectorProfile.resolve(null);
+    }
+    
+    this.selectorProfileEditor.value = JSON.stringify(selectors, null, 2);
+    this.selectorProfileName.value = profile ? profile.name : '';
+    
+    if (profile) {
+      const overrideCount = Object.values(profile.selectors || {})
+        .reduce((count, entries) => count + Object.keys(entries).length, 0);
+      this.selectorProfileInfo.textContent = `${profile.name} · v${profile.version} · ${overrideCount} override${overrideCount === 1 ? '' : 's'}`;
+    } else {
+      this.selectorProfileInfo.textContent = 'Defaults';
+    }
+  }
+
+  /**
+   * Store a selector profile (content scripts pick it up through storage.onChanged)
+   * @param {Object|null} profile - Validated profile, or null to go back to the defaults
+   */
+  async storeSelectorProfile(profile) {
+    if (profile) {
+      await chrome.storage.local.set({ [SelectorProfile.STORAGE_KEY]: profile });
+    } else {
+      await chrome.storage.local.remove(SelectorProfile.STORAGE_KEY);
+    }
+    this.selectorProfile = profile;
+    this.renderSelectorProfile();
+  }
+
+  /**
+   * Handle selector profile Save button click
+   * Only the entries that differ from the defaults are stored; every save bumps the version
+   */
+  async handleSaveSelectorProfile() {
+    try {
+      let edited;
+      try {
+        edited = JSON.parse(this.selectorProfileEditor.value);
+      } catch (error) {
+        throw new Error('Selectors are not valid JSON: ' + error.message);
+      }
+      
+      const overrides = SelectorProfile.diff(SelectorProfile.validate({ selectors: edited }).selectors);
+      if (Object.keys(overrides).length === 0) {
+        await this.storeSelectorProfile(null);
+        this.updateStatus('Selector profile matches the defaults', 'success');
+        setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+        return;
+      }
+      
+      const profile = SelectorProfile.validate({
+        schemaVersion: DEFAULT_SELECTOR_PROFILE.schemaVersion,
+        version: (this.selectorProfile ? this.selectorProfile.version : 0) + 1,
+        name: this.selectorProfileName.value,
+        updatedAt: new Date().toISOString(),
+        selectors: overrides
+      });
+      await this.storeSelectorProfile(profile);
+      
+      this.updateStatus(`Selector profile saved (v${profile.version})`, 'success');
+      setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+    } catch (error) {
+      console.error('Error saving selector profile:', error);
+      this.showModal('Selector Profile Error', error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Handle selector profile Reset button click
+   */
+  async handleResetSelectorProfile() {
+    if (!this.selectorProfile) {
+      this.renderSelectorProfile();
+      return;
+    }
+    
+    if (!confirm('Discard all selector overrides and go back to the built-in selectors?')) {
+      return;
+    }
+    
+    await this.storeSelectorProfile(null);
+    this.updateStatus('Selector profile reset to defaults', 'success');
+    setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+  }
+
+  /**
+   * Handle selector profile import (a profile exported from another install)
+   */
+  async handleImportSelectorProfile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    // Reset input for future imports
+    event.target.value = '';
+
+    try {
+      const text = await this.readFileAsText(file);
+      const profile = SelectorProfile.validate(JSON.parse(text));
+      profile.updatedAt = profile.updatedAt || new Date().toISOString();
+      await this.storeSelectorProfile(profile);
+      
+      const overrideCount = Object.values(profile.selectors)
+        .reduce((count, entries) => count + Object.keys(entries).length, 0);
+      this.showModal('Selector Profile Imported', `Imported "${profile.name}" (v${profile.version}) with ${overrideCount} selector override${overrideCount === 1 ? '' : 's'}.\n\nIt applies to the next page that is read.`, null, 'success');
+    } catch (error) {
+      console.error('Error importing selector profile:', error);
+      this.showModal('Import Error', 'Error importing selector profile: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Handle selector profile export
+   */
+  handleExportSelectorProfile() {
+    if (!this.selectorProfile) {
+      this.showModal('No Custom Selectors', 'The built-in selectors are in use; there is no selector profile to export.', null, 'error');
+      return;
+    }
+    
+    try {
+      const jsonString = JSON.stringify(this.selectorProfile, null, 2);
+      const blob = new Blob([jsonString], { type: 'application/json' });
+      const slug = this.selectorProfile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+      const filename = `selector-profile-${slug}-v${this.selectorProfile.version}.json`;
+      
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      
+      this.updateStatus('Selector profile exported', 'success');
+      setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+    } catch (error) {
+      this.showModal('Export Error', 'Error exporting selector profile: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Handle "Diagnose This Page" button click
+   */
+  async handleDiagnosePage() {
+    this.diagnoseBtn.disabled = true;
+    this.updateStatus('Diagnosing page...', 'primary');
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'diagnosePage' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+      
+      this.lastDiagnostics = response.report;
+      this.diagnosticsReport.textContent = this.formatDiagnosticsReport(response.report);
+      this.diagnosticsReport.style.display = 'block';
+      this.copyDiagnosticsBtn.disabled = false;
+      
+      this.updateStatus('Diagnostics ready', 'success');
+      setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+    } catch (error) {
+      console.error('Error diagnosing page:', error);
+      this.showModal('Diagnostics Error', 'Could not diagnose the page: ' + error.message, null, 'error');
+      this.updateStatus('Ready', 'secondary');
+    } finally {
+      this.diagnoseBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Format a diagnostics report as plain text
+   * @param {Object} report - Report from LinkedInExtractor.diagnosePage()
+   * @returns {string} Readable report
+   */
+  formatDiagnosticsReport(report) {
+    const profile = report.selectorProfile
+      ? `"${report.selectorProfile.name}" v${report.selectorProfile.version}`
+      : 'built-in defaults';
+    const lines = [
+      `Page diagnostics (${report.pageType} page)`,
+      `URL: ${report.url}`,
+      `Language: ${report.language}`,
+      `Selector profile: ${profile}`,
+      `Time: ${report.timestamp}`,
+      `Extension: ${chrome.runtime.getManifest().version}`
+    ];
+    
+    const fields = Object.entries(report.fields || {});
+    if (fields.length > 0) {
+      const width = Math.max(...fields.map(([field]) => field.length));
+      lines.push('', `Fields (${fields.filter(([, info]) => info.found).length}/${fields.length} found):`);
+      for (const [field, info] of fields) {
+        if (!info.found) {
+          lines.push(`  ✗ ${field.padEnd(width)}  not found`);
+          continue;
+        }
+        const source = [info.strategy, info.selector].filter(Boolean).join(' ');
+        const confidence = info.confidence ? ` [${info.confidence}]` : '';
+        const sample = info.sample ? `  "${info.sample}"` : '';
+        lines.push(`  ✓ ${field.padEnd(width)}  ${source}${confidence}${sample}`);
+      }
+    }
+    
+    const selectors = report.selectors || [];
+    const width = Math.max(0, ...selectors.map(entry => entry.key.length));
+    lines.push('', `Selectors (${selectors.filter(entry => entry.count > 0).length}/${selectors.length} match):`);
+    for (const entry of selectors) {
+      const result = entry.error ? `invalid: ${entry.error}` : String(entry.count);
+      lines.push(`  ${result.padStart(4)}  ${entry.key.padEnd(width)}  ${entry.selector}`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Copy the last diagnostics report (text plus raw JSON) for bug reports
+   */
+  async handleCopyDiagnostics() {
+    if (!this.lastDiagnostics) {
+      return;
+    }
+    
+    const text = this.formatDiagnosticsReport(this.lastDiagnostics) +
+      '\n\nRaw report:\n' + JSON.stringify(this.lastDiagnostics, null, 2);
+    
+    try {
+      await navigator.clipboard.writeText(text);
+      this.updateStatus('Diagnostics report copied', 'success');
+      setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+    } catch (error) {
+      console.error('Error copying diagnostics:', error);
+      this.showModal('Copy Failed', 'Could not copy the report: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Explain a fill-rate alert raised by the service worker (the run is paused)
+   * @param {Object} alert - {fields: [{field, recentRate, baselineRate, baselineSource}], page, windowSize}
+   */
+  showFillRateAlert(alert) {
+    if (!alert || !Array.isArray(alert.fields)) return;
+    
+    const percent = rate => `${Math.round(rate * 100)}%`;
+    const lines = alert.fields.map(({ field, recentRate, baselineRate, baselineSource }) =>
+      `• ${field}: ${percent(recentRate)} of the last ${alert.windowSize} (usually ${percent(baselineRate)}${baselineSource === 'history' ? ' in previous runs' : ' this run'})`
+    );
+    
+    this.showModal(
+      'Possible Selector Breakage',
+      `Collection paused on page ${alert.page}: these fields suddenly came back empty.\n\n${lines.join('\n')}\n\n` +
+      'Open a company page and use Diagnose This Page to check the selectors, then fix them in the Selector Profile. Resume to continue anyway.',
+      null,
+      'error'
+    );
+  }
+
   /**
    * Toggle between dark and light theme
    */
@@ -195,52 +695,460 @@ class SidePanelUI {
       sunIcon.style.display = 'none';
     }
     
-    chrome.storage.local.set({ theme: theme });
+    chrome.storage.local.set({ theme: theme });
+  }
+
+  /**
+   * Load initial data from storage
+   */
+  async loadInitialData() {
+    try {
+      // Load companies
+      await this.reloadCompanies();
+      await this.loadCandidateQueue();
+      
+      // Load state
+      const stateResponse = await chrome.runtime.sendMessage({ action: 'getState' });
+      if (stateResponse && stateResponse.success) {
+        this.state = stateResponse.state;
+        this.updateUIState();
+        this.showInterruptedRun();
+      }
+    } catch (error) {
+      console.error('Error loading initial data:', error);
+    }
+  }
+
+  /**
+   * Offer to resume or discard a run that was cut off by closing the browser
+   */
+  showInterruptedRun() {
+    if (!this.state.interrupted) {
+      this.interruptedRunSection.style.display = 'none';
+      return;
+    }
+    
+    const queueTotal = Array.isArray(this.state.companyQueue) ? this.state.companyQueue.length : 0;
+    const nextCompany = Math.min((this.state.nextCompanyIndex || 0) + 1, Math.max(queueTotal, 1));
+    const runName = {
+      list: 'The company list run',
+      refresh: 'The refresh run',
+      deep: 'The About page visits'
+    }[this.state.phase] || 'The search run';
+    
+    this.interruptedRunText.textContent = `${runName} stopped when the browser was closed: ` +
+      `${this.state.processedCompanies || 0} companies collected, page ${this.state.currentPage}` +
+      `${queueTotal > 0 ? `, company ${nextCompany} of ${queueTotal} next` : ''}.`;
+    this.resumeInterruptedBtn.querySelector('.btn-text').textContent = `Resume from page ${this.state.currentPage}` +
+      `${queueTotal > 0 ? `, company ${nextCompany}` : ''}`;
+    this.interruptedRunSection.style.display = '';
+  }
+
+  /**
+   * Continue the interrupted run (search runs reopen their results page)
+   */
+  async handleResumeInterrupted() {
+    this.interruptedRunSection.style.display = 'none';
+    this.updateStatus('Resuming interrupted run...', 'primary');
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'resumeInterruptedRun' });
+      if (!response || !response.success) {
+        this.updateStatus('Ready', 'secondary');
+        this.showModal('Resume Failed', response?.error || 'Failed to resume the interrupted run', null, 'error');
+        this.showInterruptedRun();
+      }
+    } catch (error) {
+      this.showModal('Error', 'Error: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Forget the interrupted run; collected companies and queued candidates are kept
+   */
+  async handleDiscardInterrupted() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'discardInterruptedRun' });
+      if (response && response.success) {
+        this.state.interrupted = false;
+        this.interruptedRunSection.style.display = 'none';
+        this.updateStatus('Interrupted run discarded', 'success');
+        setTimeout(() => this.updateStatus('Ready', 'secondary'), 3000);
+      }
+    } catch (error) {
+      this.showModal('Error', 'Error: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Reload the company list from storage and redraw the table
+   * Used when stored records change in place (e.g. a card-only record upgraded to full data)
+   */
+  async reloadCompanies() {
+    const response = await chrome.runtime.sendMessage({ action: 'getCompanies' });
+    if (response && response.success) {
+      this.companies = response.companies || [];
+      this.updateDataTable();
+      this.updateStatistics();
+      
+      if (this.companies.length > 0) {
+        this.exportJsonBtn.disabled = false;
+        this.exportCsvBtn.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Load the candidate queue (companies waiting for their About page visit)
+   */
+  async loadCandidateQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCandidateQueue' });
+      if (response && response.success) {
+        this.candidateQueue = response.queue;
+        this.renderCandidateQueue();
+      }
+    } catch (error) {
+      console.error('Side Panel: Error loading candidate queue:', error);
+    }
+  }
+
+  /**
+   * Render the pending candidates (including failed visits, which are tried again) with their card data
+   */
+  renderCandidateQueue() {
+    const companies = this.candidateQueue.companies || [];
+    const pending = companies.filter(c => c.status === 'pending' || c.status === 'failed');
+    const failed = pending.filter(c => c.status === 'failed').length;
+    const done = companies.length - pending.length;
+    
+    this.candidateQueueInfo.textContent = companies.length === 0
+      ? 'Empty'
+      : `${pending.length} pending${failed > 0 ? ` (${failed} failed)` : ''}${done > 0 ? `, ${done} visited` : ''}`;
+    
+    this.candidateList.innerHTML = pending.map(candidate => {
+      const details = [
+        candidate.industry !== 'N/A' ? candidate.industry : null,
+        candidate.location !== 'N/A' ? candidate.location : null,
+        typeof candidate.followers === 'number' ? `${candidate.followers.toLocaleString()} followers` : null,
+        `page ${candidate.page}`,
+        candidate.status === 'failed' ? `visit failed ${candidate.attempts || 1}×` : null
+      ].filter(Boolean).join(' · ');
+      
+      return `
+        <li>
+          <span class="candidate-details" title="${this.escapeHtml(candidate.url)}">
+            ${this.escapeHtml(candidate.name || candidate.url)}
+            <span class="help-text">${this.escapeHtml(details)}</span>
+          </span>
+          <button class="btn-delete btn-remove-candidate" data-url="${this.escapeHtml(candidate.url)}" title="Remove from queue" aria-label="Remove from queue">
+            <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </li>
+      `;
+    }).join('');
+    
+    this.updateCandidateControls();
+  }
+
+  /**
+   * Queue changes are only allowed while no collection is running
+   */
+  updateCandidateControls() {
+    const companies = this.candidateQueue.companies || [];
+    const hasPending = companies.some(c => c.status === 'pending' || c.status === 'failed');
+    
+    this.startDeepPassBtn.disabled = this.state.isRunning || !hasPending;
+    this.clearCandidatesBtn.disabled = this.state.isRunning || companies.length === 0;
+    this.candidateList.querySelectorAll('.btn-remove-candidate').forEach(button => {
+      button.disabled = this.state.isRunning;
+    });
+  }
+
+  /**
+   * Remove one company from the candidate queue
+   * @param {string} url - Candidate URL
+   */
+  async handleRemoveCandidate(url) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'removeCandidate', url });
+      if (response && response.success) {
+        this.candidateQueue = response.queue;
+        this.renderCandidateQueue();
+      }
+    } catch (error) {
+      console.error('Side Panel: Error removing candidate:', error);
+    }
+  }
+
+  /**
+   * Drop the whole candidate queue
+   */
+  async handleClearCandidates() {
+    if (!confirm('Remove all companies from the candidate queue?')) {
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'clearCandidateQueue' });
+      if (response && response.success) {
+        this.candidateQueue = { companies: [] };
+        this.renderCandidateQueue();
+      } else {
+        this.showModal('Clear Failed', response?.error || 'Failed to clear the candidate queue', null, 'error');
+      }
+    } catch (error) {
+      this.showModal('Error', 'Error: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Visit the About pages of the queued candidates
+   */
+  async handleStartDeepPass() {
+    this.startDeepPassBtn.disabled = true;
+    this.updateStatus('Visiting About pages...', 'primary');
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'startDeepPass' });
+      if (!response || !response.success) {
+        this.updateStatus('Ready', 'secondary');
+        this.updateCandidateControls();
+        this.showModal('Start Failed', response?.error || 'Failed to start visiting About pages', null, 'error');
+      }
+    } catch (error) {
+      this.updateCandidateControls();
+      this.showModal('Error', 'Error: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Turn pasted lines into LinkedIn company URLs
+   * Accepts full or partial company URLs (also inside CSV lines) and bare slugs
+   * A CSV header row (e.g. "url" or "Company,LinkedIn URL") is reported as invalid instead of read as a slug
+   * @param {string} text - One company per line
+   * @returns {Object} {urls: Array<string>, invalid: Array<string>}
+   */
+  parseCompanyList(text) {
+    const urls = [];
+    const invalid = [];
+    const headerCells = ['url', 'urls', 'link', 'linkedin', 'linkedin url', 'company', 'companies', 'company url',
+      'company name', 'name', 'slug', 'website', 'id'];
+    let firstLine = true;
+    
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      
+      const urlMatch = line.match(/linkedin\.com\/company\/([^\/?#\s,;"']+)/i);
+      const isHeader = firstLine && !urlMatch && line.split(/[,;\t]/)
+        .map(cell => cell.replace(/["']/g, '').replace(/[_\s]+/g, ' ').trim().toLowerCase())
+        .every(cell => !cell || headerCells.includes(cell));
+      firstLine = false;
+      
+      const slugMatch = !isHeader && line.match(/^[\w%.&-]+$/);
+      const slug = urlMatch ? urlMatch[1] : (slugMatch ? line : null);
+      
+      if (!slug) {
+        invalid.push(line);
+        return;
+      }
+      
+      const url = `https://www.linkedin.com/company/${slug.toLowerCase()}`;
+      if (!urls.includes(url)) {
+        urls.push(url);
+      }
+    });
+    
+    return { urls, invalid };
+  }
+
+  /**
+   * Load a text/CSV file of company URLs or slugs into the list
+   */
+  async handleLoadCompanyList(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+      const text = await file.text();
+      this.companyListInput.value = text.trim();
+      const { urls, invalid } = this.parseCompanyList(text);
+      this.companyListInfo.textContent = `${urls.length} companies${invalid.length > 0 ? `, ${invalid.length} unreadable lines` : ''}`;
+    } catch (error) {
+      this.showModal('Import Error', 'Error reading the file: ' + error.message, null, 'error');
+    } finally {
+      // Reset file input
+      event.target.value = '';
+    }
+  }
+
+  /**
+   * Collect the listed companies (no search pagination)
+   */
+  async handleStartList() {
+    const { urls, invalid } = this.parseCompanyList(this.companyListInput.value);
+    
+    if (urls.length === 0) {
+      this.showModal('No Companies', 'Paste LinkedIn company URLs or slugs, one per line.', null, 'error');
+      return;
+    }
+    
+    if (invalid.length > 0) {
+      const preview = invalid.slice(0, 5).join('\n');
+      const moreText = invalid.length > 5 ? `\n... and ${invalid.length - 5} more` : '';
+      if (!confirm(`${invalid.length} lines are not LinkedIn company URLs or slugs and will be ignored:\n\n${preview}${moreText}\n\nCollect the other ${urls.length} companies?`)) {
+        return;
+      }
+    }
+    
+    this.companyListInfo.textContent = `${urls.length} companies`;
+    this.state.maxPages = 1;
+    this.state.startPage = 1;
+    this.state.currentPage = 0;
+    this.state.totalCompaniesFound = 0;
+    this.updateStatus('Starting list collection...', 'primary');
+    this.updateUIState();
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'startListRun', urls });
+      if (!response || !response.success) {
+        this.updateStatus('Ready', 'secondary');
+        this.showModal('Start Failed', response?.error || 'Failed to start collecting the list', null, 'error');
+      }
+    } catch (error) {
+      this.showModal('Error', 'Error: ' + error.message, null, 'error');
+    }
+  }
+
+  /**
+   * Refresh stored companies whose data is older than the configured number of days
+   * Records without a readable timestamp count as old
+   */
+  async handleRefreshOld() {
+    const days = parseInt(this.refreshAgeDaysInput.value);
+    if (!days || days < 1) {
+      this.showModal('Invalid Age', 'Enter the age in days (1 or more).', null, 'error');
+      return;
+    }
+    
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const stale = this.companies.filter(company => {
+      const collectedAt = Date.parse(company.timestamp);
+      return this.isRefreshable(company) && (isNaN(collectedAt) || collectedAt < cutoff);
+    });
+    
+    if (stale.length === 0) {
+      this.showModal('Nothing to Refresh', `No stored company is older than ${days} days.`, null, 'info');
+      return;
+    }
+    
+    if (!confirm(`Re-collect ${stale.length} companies collected more than ${days} days ago? Their records will be updated in place.`)) {
+      return;
+    }
+    
+    await this.startRefreshRun(stale.map(company => company.url));
+  }
+
+  /**
+   * Refresh the companies ticked in the table
+   */
+  async handleRefreshSelected() {
+    const selected = this.getSelectedForRefresh();
+    if (selected.length === 0) return;
+    
+    if (!confirm(`Re-collect ${selected.length} selected companies? Their records will be updated in place.`)) {
+      return;
+    }
+    
+    await this.startRefreshRun(selected.map(company => company.url));
   }
 
   /**
-   * Load initial data from storage
+   * Start a refresh run over the given company URLs
    */
-  async loadInitialData() {
+  async startRefreshRun(urls) {
+    this.state.maxPages = 1;
+    this.state.startPage = 1;
+    this.state.currentPage = 0;
+    this.state.totalCompaniesFound = 0;
+    this.updateStatus('Starting refresh...', 'primary');
+    this.updateUIState();
+    
     try {
-      // Load companies
-      const response = await chrome.runtime.sendMessage({ action: 'getCompanies' });
-      if (response && response.success) {
-        this.companies = response.companies || [];
-        this.updateDataTable();
-        this.updateStatistics();
-        
-        if (this.companies.length > 0) {
-          this.exportJsonBtn.disabled = false;
-          this.exportCsvBtn.disabled = false;
-        }
-      }
-      
-      // Load state
-      const stateResponse = await chrome.runtime.sendMessage({ action: 'getState' });
-      if (stateResponse && stateResponse.success) {
-        this.state = stateResponse.state;
-        this.updateUIState();
+      const response = await chrome.runtime.sendMessage({ action: 'startRefreshRun', urls });
+      if (!response || !response.success) {
+        this.updateStatus('Ready', 'secondary');
+        this.showModal('Start Failed', response?.error || 'Failed to start the refresh', null, 'error');
+        return;
       }
+      this.selectedForRefresh.clear();
+      this.updateDataTable();
     } catch (error) {
-      console.error('Error loading initial data:', error);
+      this.showModal('Error', 'Error: ' + error.message, null, 'error');
     }
   }
 
+  /**
+   * Only records with a LinkedIn company URL can be re-collected
+   */
+  isRefreshable(company) {
+    return typeof company.url === 'string' && company.url.includes('linkedin.com/company/');
+  }
+
+  /**
+   * Stored companies ticked in the table (ignores selections of since-deleted rows)
+   */
+  getSelectedForRefresh() {
+    return this.companies.filter(company => this.isRefreshable(company) && this.selectedForRefresh.has(company.url));
+  }
+
+  /**
+   * Update the selection count and enable the refresh buttons when idle
+   */
+  updateRefreshControls() {
+    const selectedCount = this.getSelectedForRefresh().length;
+    this.refreshSelectedCount.textContent = selectedCount;
+    this.refreshSelectedBtn.disabled = this.state.isRunning || selectedCount === 0;
+    this.refreshOldBtn.disabled = this.state.isRunning || this.companies.length === 0;
+    this.refreshAgeDaysInput.disabled = this.state.isRunning;
+  }
+
   /**
    * Handle start button click
    * FIXED: Update max pages display immediately when starting
    */
   async handleStart() {
-    const maxPages = parseInt(this.maxPagesInput.value) || 5;
+    let maxPages = parseInt(this.maxPagesInput.value) || 5;
+    const startPage = parseInt(this.startPageInput.value) || null;
+    const endPage = parseInt(this.endPageInput.value) || null;
+    const untilEnd = this.untilEndInput.checked;
+    
+    if (maxPages < 1 || maxPages > 100) {
+      this.showModal('Invalid Input', 'Please enter a valid number of pages (1-100)', null, 'error');
+      return;
+    }
     
-    if (maxPages < 1 || maxPages > 20) {
-      this.showModal('Invalid Input', 'Please enter a valid number of pages (1-20)', null, 'error');
+    if ((startPage !== null && (startPage < 1 || startPage > 100)) || (endPage !== null && (endPage < 1 || endPage > 100))) {
+      this.showModal('Invalid Input', 'Start and end page must be between 1 and 100', null, 'error');
       return;
     }
     
+    if (!untilEnd && startPage !== null && endPage !== null) {
+      if (endPage < startPage) {
+        this.showModal('Invalid Input', 'The end page must not be before the start page', null, 'error');
+        return;
+      }
+      maxPages = endPage - startPage + 1;
+    }
+    
     // FIXED: Update state immediately so max pages display updates
+    // (the service worker reports the exact range once it knows the current page)
     this.state.maxPages = maxPages;
+    this.state.startPage = startPage || 1;
     this.state.currentPage = 0;
     
     this.updateStatus('Starting data collection...', 'primary');
@@ -249,7 +1157,12 @@ class SidePanelUI {
     try {
       const response = await chrome.runtime.sendMessage({ 
         action: 'startScraping',
-        maxPages: maxPages
+        maxPages: maxPages,
+        startPage: startPage,
+        endPage: untilEnd ? null : endPage,
+        untilEnd: untilEnd,
+        mode: this.collectionModeSelect.value,
+        reviewCandidates: this.reviewCandidatesInput.checked
       });
       
       if (response && response.success) {
@@ -259,6 +1172,7 @@ class SidePanelUI {
         // Reset state if failed
         this.state.isRunning = false;
         this.state.maxPages = 5;
+        this.state.startPage = 1;
         this.state.currentPage = 0;
         this.updateUIState();
         this.showModal('Start Failed', response?.error || 'Failed to start collection. Make sure you are on a LinkedIn company search results page.', null, 'error');
@@ -268,6 +1182,7 @@ class SidePanelUI {
       // Reset state if error
       this.state.isRunning = false;
       this.state.maxPages = 5;
+      this.state.startPage = 1;
       this.state.currentPage = 0;
       this.updateUIState();
       this.showModal('Error', 'Error: ' + error.message, null, 'error');
@@ -369,16 +1284,26 @@ class SidePanelUI {
       return;
     }
     
+    const companies = this.getExportCompanies();
+    if (companies.length === 0) {
+      this.showModal('No Changes', `No company changed since ${this.changedSinceInput.value}.`, null, 'info');
+      return;
+    }
+    
     try {
       // Prepare export data
       const exportData = {
         metadata: {
           exportDate: new Date().toISOString(),
-          totalRecords: this.companies.length,
+          totalRecords: companies.length,
           source: 'LinkedIn Company Data Extractor',
-          pagesScraped: this.state.currentPage
+          pagesScraped: this.state.currentPage,
+          changedSince: this.changedSinceInput.value || null
         },
-        companies: this.companies
+        // Extraction metadata (_meta) is only exported when requested
+        companies: this.includeMetaInput.checked
+          ? companies
+          : companies.map(({ _meta, ...company }) => company)
       };
 
       // Convert to JSON string with pretty formatting
@@ -412,6 +1337,81 @@ class SidePanelUI {
     }
   }
 
+  /**
+   * Start of the "changed since" export date (local midnight)
+   * @returns {number|null} Milliseconds, or null to export everything
+   */
+  getChangedSince() {
+    const value = this.changedSinceInput.value;
+    if (!value) return null;
+    const since = new Date(`${value}T00:00:00`).getTime();
+    return isNaN(since) ? null : since;
+  }
+
+  /**
+   * Companies to export: all, or only those whose tracked fields changed since the chosen date
+   */
+  getExportCompanies() {
+    const since = this.getChangedSince();
+    if (since === null) return this.companies;
+    return this.companies.filter(company => this.getHistorySince(company, since).length > 0);
+  }
+
+  /**
+   * Version entries of a company recorded at or after a point in time
+   * @param {Object} company - Company record
+   * @param {number|null} since - Milliseconds, or null for the whole history
+   * @returns {Array<Object>} History entries, oldest first
+   */
+  getHistorySince(company, since) {
+    const history = Array.isArray(company.history) ? company.history : [];
+    if (since === null) return history;
+    return history.filter(entry => Date.parse(entry.timestamp) >= since);
+  }
+
+  /**
+   * Flatten a company's changes into one CSV cell, e.g. "2026-10-19 website: https://a.com → https://b.com"
+   */
+  formatChangesForCSV(company, since) {
+    return this.getHistorySince(company, since)
+      .flatMap(entry => entry.changes.map(change =>
+        `${String(entry.timestamp).slice(0, 10)} ${change.field}: ${this.formatChangeValue(change.from)} → ${this.formatChangeValue(change.to)}`))
+      .join('; ');
+  }
+
+  /**
+   * Display form of a tracked field value in the change history
+   */
+  formatChangeValue(value) {
+    if (value === null || value === undefined) return '(none)';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    if (typeof value === 'object') return [value.exchange, value.ticker].filter(Boolean).join(': ');
+    return String(value);
+  }
+
+  /**
+   * Show the version timeline of a re-collected company, newest change first
+   */
+  showChangeHistory(company) {
+    const history = Array.isArray(company.history) ? company.history : [];
+    const formatDate = (timestamp) => {
+      const date = new Date(timestamp);
+      return isNaN(date.getTime()) ? 'unknown date' : date.toLocaleString();
+    };
+    
+    const lines = [`Version ${company.version || 1}, collected ${formatDate(company.timestamp)}`];
+    history.slice().reverse().forEach(entry => {
+      lines.push('', `Version ${entry.version} (${formatDate(entry.timestamp)})`);
+      entry.changes.forEach(change => {
+        const fieldName = change.field.replace(/([A-Z])/g, ' $1').toLowerCase();
+        lines.push(`• ${fieldName}: ${this.formatChangeValue(change.from)} → ${this.formatChangeValue(change.to)}`);
+      });
+    });
+    
+    this.showModal(`Change History: ${company.name}`, lines.join('\n'), null, 'info');
+  }
+
   /**
    * Handle CSV export button click
    */
@@ -421,18 +1421,54 @@ class SidePanelUI {
       return;
     }
     
+    const companies = this.getExportCompanies();
+    if (companies.length === 0) {
+      this.showModal('No Changes', `No company changed since ${this.changedSinceInput.value}.`, null, 'info');
+      return;
+    }
+    const changedSince = this.getChangedSince();
+    
     try {
       // Define CSV headers
-      const headers = ['Name', 'Website', 'Industry', 'Phone', 'Headquarters', 'LinkedIn URL', 'Collection Date'];
+      const headers = ['Name', 'Website', 'Domain', 'Industry', 'Phone', 'Phone (E.164)', 'Phone Country', 'Phone Source', 'Headquarters', 'HQ City', 'HQ Region', 'HQ Country', 'Location Count', 'Locations', 'Company Size', 'Size Min', 'Size Max', 'Associated Members', 'Founded', 'Company Type', 'Specialties', 'Tagline', 'Description', 'Organization ID', 'Slug', 'Followers', 'Logo URL', 'Verified', 'Stock Exchange', 'Stock Ticker', 'Affiliated Pages', 'LinkedIn URL', 'Depth', 'Version', 'Changes', 'Collection Date'];
       
       // Create CSV rows
-      const rows = this.companies.map(company => [
+      const rows = companies.map(company => [
         this.escapeCSV(company.name || ''),
         this.escapeCSV(company.website && company.website !== 'N/A' ? company.website : ''),
+        this.escapeCSV(company.domain || ''),
         this.escapeCSV(company.industry && company.industry !== 'N/A' ? company.industry : ''),
         this.escapeCSV(company.phone && company.phone !== 'N/A' ? company.phone : ''),
+        this.escapeCSV(company.phoneE164 || ''),
+        this.escapeCSV(company.phoneCountry || ''),
+        this.escapeCSV(company.phoneSource || ''),
         this.escapeCSV(company.headquarters && company.headquarters !== 'N/A' ? company.headquarters : ''),
+        this.escapeCSV(company.headquartersCity || ''),
+        this.escapeCSV(company.headquartersRegion || ''),
+        this.escapeCSV(company.headquartersCountry || ''),
+        this.escapeCSV(Array.isArray(company.locations) ? company.locations.length : 0),
+        this.escapeCSV(this.formatLocationsForCSV(company.locations)),
+        this.escapeCSV(company.companySize && company.companySize !== 'N/A' ? company.companySize : ''),
+        this.escapeCSV(company.companySizeMin ?? ''),
+        this.escapeCSV(company.companySizeMax ?? ''),
+        this.escapeCSV(company.associatedMembers ?? ''),
+        this.escapeCSV(company.foundedYear ?? ''),
+        this.escapeCSV(company.companyType && company.companyType !== 'N/A' ? company.companyType : ''),
+        this.escapeCSV(Array.isArray(company.specialties) ? company.specialties.join('; ') : ''),
+        this.escapeCSV(company.tagline && company.tagline !== 'N/A' ? company.tagline : ''),
+        this.escapeCSV(company.description && company.description !== 'N/A' ? company.description : ''),
+        this.escapeCSV(company.organizationId || ''),
+        this.escapeCSV(company.slug || ''),
+        this.escapeCSV(company.followers ?? ''),
+        this.escapeCSV(company.logoUrl && company.logoUrl !== 'N/A' ? company.logoUrl : ''),
+        this.escapeCSV(company.isVerified ? 'Yes' : 'No'),
+        this.escapeCSV(company.stock ? company.stock.exchange : ''),
+        this.escapeCSV(company.stock ? company.stock.ticker : ''),
+        this.escapeCSV(this.formatAffiliatedPagesForCSV(company.affiliatedPages)),
         this.escapeCSV(company.url || ''),
+        this.escapeCSV(company.depth || 'full'),
+        this.escapeCSV(company.version || 1),
+        this.escapeCSV(this.formatChangesForCSV(company, changedSince)),
         this.escapeCSV(company.timestamp || '')
       ]);
       
@@ -471,6 +1507,58 @@ class SidePanelUI {
     }
   }
 
+  /**
+   * Flatten locations into a semicolon-joined CSV column
+   * The primary office is marked with a "(Primary)" suffix
+   */
+  formatLocationsForCSV(locations) {
+    if (!Array.isArray(locations)) return '';
+    return locations
+      .map(location => {
+        const text = LocationParser.formatLocation(location);
+        return location.isPrimary ? `${text} (Primary)` : text;
+      })
+      .filter(Boolean)
+      .join('; ');
+  }
+
+  /**
+   * Parse a semicolon-joined Locations CSV column back into structured locations
+   */
+  parseLocationsFromCSV(value) {
+    if (!value) return [];
+    return value
+      .split(';')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const isPrimary = /\s*\(primary\)$/i.test(part);
+        const location = LocationParser.parseAddress(part.replace(/\s*\(primary\)$/i, ''));
+        return location ? { ...location, isPrimary } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Format affiliated pages for a single CSV cell ("Name (relation): url; ...")
+   */
+  formatAffiliatedPagesForCSV(pages) {
+    if (!Array.isArray(pages)) return '';
+    return pages
+      .map(page => `${page.name} (${page.relation}): ${page.url}`)
+      .join('; ');
+  }
+
+  /**
+   * Parse the Affiliated Pages CSV cell back into {name, url, relation} entries
+   */
+  parseAffiliatedPagesFromCSV(value) {
+    if (!value) return [];
+    // Match entry by entry so names containing ";" survive
+    return [...value.matchAll(/\s*(.+?)\s*\((\w+)\):\s*(https?:\/\/[^\s;]+)\s*(?:;|$)/g)]
+      .map(([, name, relation, url]) => ({ name, relation, url }));
+  }
+
   /**
    * Escape CSV fields that contain commas, quotes, or newlines
    */
@@ -630,7 +1718,7 @@ class SidePanelUI {
    * Parse CSV text into array of company objects
    */
   parseCSV(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
+    const lines = this.splitCSVRecords(csvText).filter(line => line.trim());
     if (lines.length === 0) {
       return [];
     }
@@ -643,6 +1731,60 @@ class SidePanelUI {
       // Map common CSV column names to our data structure
       if (normalized.includes('name') || normalized === 'company') {
         headerMap.name = index;
+      } else if (normalized === 'verified') {
+        headerMap.isVerified = index;
+      } else if (normalized === 'stock exchange') {
+        headerMap.stockExchange = index;
+      } else if (normalized === 'stock ticker') {
+        headerMap.stockTicker = index;
+      } else if (normalized === 'affiliated pages') {
+        headerMap.affiliatedPages = index;
+      } else if (normalized === 'domain') {
+        // Derived from the Website column, not imported
+      } else if (normalized === 'phone (e.164)' || normalized === 'phone e164') {
+        headerMap.phoneE164 = index;
+      } else if (normalized === 'phone country') {
+        headerMap.phoneCountry = index;
+      } else if (normalized === 'phone source') {
+        headerMap.phoneSource = index;
+      } else if (normalized === 'hq city') {
+        headerMap.headquartersCity = index;
+      } else if (normalized === 'hq region') {
+        headerMap.headquartersRegion = index;
+      } else if (normalized === 'hq country') {
+        headerMap.headquartersCountry = index;
+      } else if (normalized === 'location count') {
+        // Derived from the Locations column, not imported
+      } else if (normalized === 'locations') {
+        headerMap.locations = index;
+      } else if (normalized === 'size min') {
+        headerMap.companySizeMin = index;
+      } else if (normalized === 'size max') {
+        headerMap.companySizeMax = index;
+      } else if (normalized.includes('company size') || normalized === 'size') {
+        headerMap.companySize = index;
+      } else if (normalized.includes('associated members')) {
+        headerMap.associatedMembers = index;
+      } else if (normalized.includes('founded')) {
+        headerMap.foundedYear = index;
+      } else if (normalized.includes('company type') || normalized === 'type') {
+        headerMap.companyType = index;
+      } else if (normalized.includes('specialt')) {
+        headerMap.specialties = index;
+      } else if (normalized.includes('tagline')) {
+        headerMap.tagline = index;
+      } else if (normalized.includes('description') || normalized.includes('overview')) {
+        headerMap.description = index;
+      } else if (normalized.includes('organization id') || normalized === 'org id') {
+        headerMap.organizationId = index;
+      } else if (normalized === 'depth') {
+        headerMap.depth = index;
+      } else if (normalized === 'slug') {
+        headerMap.slug = index;
+      } else if (normalized.includes('follower')) {
+        headerMap.followers = index;
+      } else if (normalized.includes('logo')) {
+        headerMap.logoUrl = index;
       } else if (normalized.includes('website') && !normalized.includes('linkedin')) {
         headerMap.website = index;
       } else if (normalized.includes('industry')) {
@@ -679,12 +1821,87 @@ class SidePanelUI {
       if (headerMap.phone !== undefined && values[headerMap.phone] !== undefined) {
         company.phone = values[headerMap.phone].trim();
       }
+      if (headerMap.phoneE164 !== undefined && values[headerMap.phoneE164] !== undefined) {
+        company.phoneE164 = values[headerMap.phoneE164].trim();
+      }
+      if (headerMap.phoneCountry !== undefined && values[headerMap.phoneCountry] !== undefined) {
+        company.phoneCountry = values[headerMap.phoneCountry].trim();
+      }
+      if (headerMap.phoneSource !== undefined && values[headerMap.phoneSource] !== undefined) {
+        company.phoneSource = values[headerMap.phoneSource].trim();
+      }
       if (headerMap.headquarters !== undefined && values[headerMap.headquarters] !== undefined) {
         company.headquarters = values[headerMap.headquarters].trim();
       }
+      if (headerMap.headquartersCity !== undefined && values[headerMap.headquartersCity] !== undefined) {
+        company.headquartersCity = values[headerMap.headquartersCity].trim();
+      }
+      if (headerMap.headquartersRegion !== undefined && values[headerMap.headquartersRegion] !== undefined) {
+        company.headquartersRegion = values[headerMap.headquartersRegion].trim();
+      }
+      if (headerMap.headquartersCountry !== undefined && values[headerMap.headquartersCountry] !== undefined) {
+        company.headquartersCountry = values[headerMap.headquartersCountry].trim();
+      }
+      if (headerMap.isVerified !== undefined && values[headerMap.isVerified] !== undefined) {
+        company.isVerified = values[headerMap.isVerified].trim();
+      }
+      if (headerMap.stockTicker !== undefined && values[headerMap.stockTicker] !== undefined) {
+        company.stock = {
+          exchange: headerMap.stockExchange !== undefined ? (values[headerMap.stockExchange] || '').trim() : '',
+          ticker: values[headerMap.stockTicker].trim()
+        };
+      }
+      if (headerMap.affiliatedPages !== undefined && values[headerMap.affiliatedPages] !== undefined) {
+        company.affiliatedPages = this.parseAffiliatedPagesFromCSV(values[headerMap.affiliatedPages]);
+      }
+      if (headerMap.locations !== undefined && values[headerMap.locations] !== undefined) {
+        company.locations = this.parseLocationsFromCSV(values[headerMap.locations]);
+      }
+      if (headerMap.companySize !== undefined && values[headerMap.companySize] !== undefined) {
+        company.companySize = values[headerMap.companySize].trim();
+      }
+      if (headerMap.companySizeMin !== undefined && values[headerMap.companySizeMin] !== undefined) {
+        company.companySizeMin = values[headerMap.companySizeMin].trim();
+      }
+      if (headerMap.companySizeMax !== undefined && values[headerMap.companySizeMax] !== undefined) {
+        company.companySizeMax = values[headerMap.companySizeMax].trim();
+      }
+      if (headerMap.associatedMembers !== undefined && values[headerMap.associatedMembers] !== undefined) {
+        company.associatedMembers = values[headerMap.associatedMembers].trim();
+      }
+      if (headerMap.foundedYear !== undefined && values[headerMap.foundedYear] !== undefined) {
+        company.foundedYear = values[headerMap.foundedYear].trim();
+      }
+      if (headerMap.companyType !== undefined && values[headerMap.companyType] !== undefined) {
+        company.companyType = values[headerMap.companyType].trim();
+      }
+      if (headerMap.specialties !== undefined && values[headerMap.specialties] !== undefined) {
+        company.specialties = values[headerMap.specialties].trim();
+      }
+      if (headerMap.tagline !== undefined && values[headerMap.tagline] !== undefined) {
+        company.tagline = values[headerMap.tagline].trim();
+      }
+      if (headerMap.description !== undefined && values[headerMap.description] !== undefined) {
+        company.description = values[headerMap.description].trim();
+      }
+      if (headerMap.organizationId !== undefined && values[headerMap.organizationId] !== undefined) {
+        company.organizationId = values[headerMap.organizationId].trim();
+      }
+      if (headerMap.slug !== undefined && values[headerMap.slug] !== undefined) {
+        company.slug = values[headerMap.slug].trim();
+      }
+      if (headerMap.followers !== undefined && values[headerMap.followers] !== undefined) {
+        company.followers = values[headerMap.followers].trim();
+      }
+      if (headerMap.logoUrl !== undefined && values[headerMap.logoUrl] !== undefined) {
+        company.logoUrl = values[headerMap.logoUrl].trim();
+      }
       if (headerMap.url !== undefined && values[headerMap.url] !== undefined) {
         company.url = values[headerMap.url].trim();
       }
+      if (headerMap.depth !== undefined && values[headerMap.depth] !== undefined) {
+        company.depth = values[headerMap.depth].trim().toLowerCase();
+      }
       if (headerMap.timestamp !== undefined && values[headerMap.timestamp] !== undefined) {
         company.timestamp = values[headerMap.timestamp].trim();
       }
@@ -698,6 +1915,37 @@ class SidePanelUI {
     return companies;
   }
 
+  /**
+   * Split CSV text into records, keeping newlines inside quoted fields
+   * (descriptions can span several lines)
+   */
+  splitCSVRecords(csvText) {
+    const records = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < csvText.length; i++) {
+      const char = csvText[i];
+
+      if (char === '"') {
+        inQuotes = !inQuotes;
+        current += char;
+      } else if ((char === '\n' || char === '\r') && !inQuotes) {
+        // Treat \r\n as a single record break
+        if (char === '\r' && csvText[i + 1] === '\n') {
+          i++;
+        }
+        records.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    records.push(current);
+    return records;
+  }
+
   /**
    * Parse a single CSV line, handling quoted fields
    */
@@ -745,16 +1993,69 @@ class SidePanelUI {
         continue;
       }
 
+      // Structured headquarters: keep imported values, fill gaps from the raw string
+      const headquarters = company.headquarters ? String(company.headquarters).trim() : 'N/A';
+      const importedCountry = company.headquartersCountry ? LocationParser.lookupCountry(String(company.headquartersCountry)) : null;
+      const parsedHeadquarters = LocationParser.parseHeadquarters(headquarters, importedCountry || LocationParser.getPrimaryCountry(company.locations));
+      const headquartersCountry = importedCountry || parsedHeadquarters.country;
+      
+      // Website: canonicalize and derive the registrable domain
+      const website = UrlCanonicalizer.canonicalize(company.website ? String(company.website) : '') || 'N/A';
+      
+      // Phone: keep an imported E.164 value, otherwise parse the displayed number
+      const phone = company.phone ? String(company.phone).trim() : 'N/A';
+      const parsedPhone = phone !== 'N/A' ? PhoneParser.parse(phone, headquartersCountry) : null;
+      const phoneE164 = PhoneParser.normalizeE164(company.phoneE164) || (parsedPhone ? parsedPhone.e164 : null);
+      
       const normalized = {
         name: company.name ? String(company.name).trim() : 'N/A',
-        website: company.website ? String(company.website).trim() : 'N/A',
+        website: website,
+        domain: UrlCanonicalizer.getDomain(website),
         industry: company.industry ? String(company.industry).trim() : 'N/A',
-        phone: company.phone ? String(company.phone).trim() : 'N/A',
-        headquarters: company.headquarters ? String(company.headquarters).trim() : 'N/A',
+        phone: phone,
+        phoneE164: phoneE164,
+        phoneCountry: (company.phoneCountry && LocationParser.lookupCountry(String(company.phoneCountry))) ||
+          (parsedPhone && parsedPhone.e164 === phoneE164 ? parsedPhone.country : null),
+        phoneSource: ['tel-link', 'dt-dd', 'text-context'].includes(company.phoneSource) ? company.phoneSource : null,
+        headquarters: headquarters,
+        headquartersCity: company.headquartersCity ? String(company.headquartersCity).trim() : parsedHeadquarters.city,
+        headquartersRegion: company.headquartersRegion ? String(company.headquartersRegion).trim() : parsedHeadquarters.region,
+        headquartersCountry: headquartersCountry,
+        locations: Array.isArray(company.locations)
+          ? company.locations.map(location => LocationParser.normalizeLocation(location)).filter(Boolean)
+          : [],
+        companySize: company.companySize ? String(company.companySize).trim() : 'N/A',
+        companySizeMin: this.toNumberOrNull(company.companySizeMin),
+        companySizeMax: this.toNumberOrNull(company.companySizeMax),
+        associatedMembers: this.toNumberOrNull(company.associatedMembers),
+        foundedYear: this.toNumberOrNull(company.foundedYear),
+        companyType: company.companyType ? String(company.companyType).trim() : 'N/A',
+        specialties: this.toStringArray(company.specialties),
+        tagline: company.tagline ? String(company.tagline).trim() : 'N/A',
+        description: company.description ? String(company.description).trim() : 'N/A',
+        organizationId: company.organizationId && /^\d+$/.test(String(company.organizationId).trim()) ? String(company.organizationId).trim() : null,
+        slug: company.slug ? String(company.slug).trim().toLowerCase() : null,
+        followers: this.toNumberOrNull(company.followers),
+        logoUrl: company.logoUrl && String(company.logoUrl).trim().startsWith('https://') ? String(company.logoUrl).trim() : 'N/A',
+        isVerified: company.isVerified === true || /^(true|yes|1)$/i.test(String(company.isVerified || '').trim()),
+        stock: this.normalizeStock(company.stock),
+        affiliatedPages: this.normalizeAffiliatedPages(company.affiliatedPages),
         url: company.url ? String(company.url).trim() : '',
-        timestamp: company.timestamp ? String(company.timestamp).trim() : new Date().toISOString()
+        timestamp: company.timestamp ? String(company.timestamp).trim() : new Date().toISOString(),
+        depth: company.depth === 'card' ? 'card' : 'full'
       };
 
+      const meta = this.normalizeMeta(company._meta);
+      if (meta) {
+        normalized._meta = meta;
+      }
+
+      const history = this.normalizeHistory(company.history);
+      if (history.length > 0) {
+        normalized.version = Math.max(this.toNumberOrNull(company.version) || 1, history[history.length - 1].version);
+        normalized.history = history;
+      }
+
       // Normalize URL if provided
       if (normalized.url && !normalized.url.startsWith('http')) {
         if (normalized.url.includes('linkedin.com/company/')) {
@@ -768,6 +2069,106 @@ class SidePanelUI {
     return validated;
   }
 
+  /**
+   * Convert an imported numeric value (number or string like "1,234") to a number
+   */
+  toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '' || value === 'N/A') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return isNaN(value) ? null : value;
+    }
+    const digits = String(value).replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+  }
+
+  /**
+   * Convert imported specialties (array or "a; b; c" string) to a string array
+   */
+  toStringArray(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => String(item).trim()).filter(Boolean);
+    }
+    if (!value || value === 'N/A') {
+      return [];
+    }
+    return String(value).split(';').map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Sanitize an imported _meta block (extraction provenance); unknown entries are dropped
+   */
+  normalizeMeta(meta) {
+    if (!meta || typeof meta !== 'object' || !meta.fields || typeof meta.fields !== 'object') {
+      return null;
+    }
+    
+    const confidences = ['high', 'medium', 'low'];
+    const fields = {};
+    for (const [field, source] of Object.entries(meta.fields)) {
+      if (source && typeof source.strategy === 'string' && confidences.includes(source.confidence)) {
+        fields[field] = {
+          strategy: source.strategy,
+          selector: typeof source.selector === 'string' ? source.selector : null,
+          confidence: source.confidence
+        };
+      }
+    }
+    
+    return {
+      language: typeof meta.language === 'string' ? meta.language : null,
+      fields
+    };
+  }
+
+  /**
+   * Sanitize an imported change history; entries need a version, a timestamp and changes
+   */
+  normalizeHistory(history) {
+    if (!Array.isArray(history)) return [];
+    return history
+      .filter(entry => entry && Number.isInteger(entry.version) && entry.timestamp && Array.isArray(entry.changes))
+      .map(entry => ({
+        version: entry.version,
+        timestamp: String(entry.timestamp),
+        previousTimestamp: entry.previousTimestamp ? String(entry.previousTimestamp) : null,
+        changes: entry.changes
+          .filter(change => change && typeof change.field === 'string')
+          .map(change => ({ field: change.field, from: change.from ?? null, to: change.to ?? null }))
+      }))
+      .filter(entry => entry.changes.length > 0)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Sanitize an imported stock object; a ticker is required
+   */
+  normalizeStock(stock) {
+    if (!stock || typeof stock !== 'object' || !stock.ticker || !String(stock.ticker).trim()) {
+      return null;
+    }
+    return {
+      exchange: stock.exchange ? String(stock.exchange).trim() : null,
+      ticker: String(stock.ticker).trim().toUpperCase()
+    };
+  }
+
+  /**
+   * Sanitize imported affiliated pages; entries need a name and a LinkedIn URL
+   */
+  normalizeAffiliatedPages(pages) {
+    if (!Array.isArray(pages)) return [];
+    const relations = ['parent', 'subsidiary', 'affiliated', 'showcase'];
+    return pages
+      .filter(page => page && page.name && page.url && String(page.url).includes('linkedin.com/'))
+      .map(page => ({
+        name: String(page.name).trim(),
+        url: String(page.url).trim(),
+        relation: relations.includes(page.relation) ? page.relation : 'affiliated'
+      }));
+  }
+
   /**
    * Import companies with duplicate checking
    * Returns: { added: number, skipped: number }
@@ -858,6 +2259,8 @@ class SidePanelUI {
       case 'scrapingStarted':
         this.state.isRunning = true;
         this.state.isPaused = false;
+        this.state.interrupted = false;
+        this.interruptedRunSection.style.display = 'none';
         this.updateUIState();
         this.updateStatus('Data collection started...', 'primary');
         break;
@@ -866,6 +2269,14 @@ class SidePanelUI {
         this.updateStatus(message.status, 'primary');
         break;
         
+      case 'pageRangeUpdated':
+        this.state.startPage = message.startPage;
+        this.state.maxPages = message.maxPages;
+        this.state.totalPages = message.totalPages;
+        this.state.resultCount = message.resultCount;
+        this.updateProgress();
+        break;
+        
       case 'companiesFound':
         this.state.totalCompaniesFound += message.count;
         this.state.currentPage = message.page || this.state.currentPage;
@@ -878,6 +2289,11 @@ class SidePanelUI {
         break;
         
       case 'companyScraped':
+        // Keep the visited/pending counts of an open candidate queue current
+        if (this.candidateQueueDetails.open) {
+          this.loadCandidateQueue();
+        }
+        
         // FIXED: Handle skipped companies (already imported/exists)
         if (message.skipped) {
           console.log('LinkedIn Data Extractor: Company skipped (already exists):', message.company.name);
@@ -887,11 +2303,19 @@ class SidePanelUI {
           break;
         }
         
+        // A stored record was replaced (card upgraded to full data, or refreshed): redraw from storage
+        if (message.replaced) {
+          this.state.processedCompanies = message.processed;
+          this.reloadCompanies().then(() => this.updateProgress());
+          break;
+        }
+        
         // Check for duplicates before adding (safety check)
         if (!this.isDuplicate(message.company)) {
           this.companies.push(message.company);
           this.state.processedCompanies = message.processed;
           this.addCompanyToTable(message.company);
+          this.updateDomainDuplicateFlags();
           this.updateStatistics();
           this.updateProgress();
           this.exportJsonBtn.disabled = false;
@@ -911,6 +2335,7 @@ class SidePanelUI {
         // Immediately reset state
         this.state.isRunning = false;
         this.state.isPaused = false;
+        this.loadCandidateQueue();
         
         // Update Company Processing to 100% immediately
         const totalInQueue = this.state.totalCompaniesFound || 0;
@@ -1004,6 +2429,7 @@ class SidePanelUI {
         console.log('Side Panel: Scraping stopped by user or error, resetting state...');
         this.state.isRunning = false;
         this.state.isPaused = false;
+        this.loadCandidateQueue();
         
         // Update status first
         this.updateStatus('Stopped', 'danger');
@@ -1035,6 +2461,26 @@ class SidePanelUI {
         this.updateStatus('Paused', 'warning');
         break;
         
+      case 'candidatesQueued':
+        this.loadCandidateQueue();
+        this.updateStatus(`${message.pending} companies queued for About page visits`, 'primary');
+        break;
+        
+      case 'candidatesReady':
+        this.loadCandidateQueue();
+        this.candidateQueueDetails.open = true;
+        this.showModal(
+          'Candidates Ready for Review',
+          `${message.pending} companies are queued. Remove the ones you don't need in the Candidate Queue, then click "Visit About Pages".`,
+          null,
+          'info'
+        );
+        break;
+        
+      case 'fillRateAlert':
+        this.showFillRateAlert(message.alert);
+        break;
+        
       case 'scrapingResumed':
         this.state.isPaused = false;
         this.updateUIState();
@@ -1069,6 +2515,13 @@ class SidePanelUI {
       this.pauseBtn.disabled = false;
       this.stopBtn.disabled = false;
       this.maxPagesInput.disabled = true;
+      this.startPageInput.disabled = true;
+      this.endPageInput.disabled = true;
+      this.untilEndInput.disabled = true;
+      this.collectionModeSelect.disabled = true;
+      this.reviewCandidatesInput.disabled = true;
+      this.startListBtn.disabled = true;
+      this.updateRefreshControls();
       
       // Update pause button icon and text based on pause state
       if (this.state.isPaused) {
@@ -1094,7 +2547,13 @@ class SidePanelUI {
       this.startBtn.classList.remove('active');
       this.pauseBtn.disabled = true;
       this.stopBtn.disabled = true;
-      this.maxPagesInput.disabled = false;
+      this.startPageInput.disabled = false;
+      this.untilEndInput.disabled = false;
+      this.updatePageRangeInputs();
+      this.collectionModeSelect.disabled = false;
+      this.reviewCandidatesInput.disabled = false;
+      this.startListBtn.disabled = false;
+      this.updateRefreshControls();
       this.pauseBtn.innerHTML = `
         <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <rect x="6" y="4" width="4" height="16"></rect>
@@ -1124,10 +2583,26 @@ class SidePanelUI {
     
     // Animate page number changes
     this.animateValueChange(this.currentPageDisplay, this.state.currentPage);
-    this.animateValueChange(this.maxPagesDisplay, this.state.maxPages || 0);
+    this.animateValueChange(this.maxPagesDisplay, this.getLastPage());
+    this.updateCandidateControls();
     this.updateProgress();
   }
 
+  /**
+   * "Until end of results" replaces the page count and the end page
+   */
+  updatePageRangeInputs() {
+    this.maxPagesInput.disabled = this.untilEndInput.checked;
+    this.endPageInput.disabled = this.untilEndInput.checked;
+  }
+
+  /**
+   * Last page of the run's page range (absolute page number, as shown in Page Navigation)
+   */
+  getLastPage() {
+    return Math.max((this.state.startPage || 1) + (this.state.maxPages || 0) - 1, 0);
+  }
+
   /**
    * Show custom modal popup
    */
@@ -1246,7 +2721,7 @@ class SidePanelUI {
     // If not running, show final state (100%) if we completed, otherwise reset to 0%
     if (!this.state.isRunning) {
       // Check if we actually completed (currentPage equals maxPages)
-      const isCompleted = this.state.currentPage >= this.state.maxPages && this.state.maxPages > 0;
+      const isCompleted = this.state.currentPage >= this.getLastPage() && this.state.maxPages > 0;
       
       if (isCompleted) {
         // Show 100% completion state
@@ -1295,14 +2770,21 @@ class SidePanelUI {
     // Set active state
     if (this.statusSection) this.statusSection.setAttribute('data-active', 'true');
 
-    // Calculate and update page progress
+    // Calculate and update page progress (pages are absolute numbers within the run's range)
+    const lastPage = this.getLastPage();
+    const pagesDone = this.state.currentPage > 0 ? this.state.currentPage - (this.state.startPage || 1) + 1 : 0;
     const pageProgress = this.state.maxPages > 0 
-      ? Math.min((this.state.currentPage / this.state.maxPages) * 100, 100)
+      ? Math.min(Math.max(pagesDone / this.state.maxPages, 0) * 100, 100)
       : 0;
     if (this.pageProgressBar) this.pageProgressBar.style.width = `${pageProgress}%`;
     if (this.currentPageDisplay) this.animateValueChange(this.currentPageDisplay, this.state.currentPage);
-    if (this.maxPagesDisplay) this.animateValueChange(this.maxPagesDisplay, this.state.maxPages);
-    this.setProcessStepActive('page', this.state.currentPage < this.state.maxPages);
+    if (this.maxPagesDisplay) {
+      this.animateValueChange(this.maxPagesDisplay, lastPage);
+      this.maxPagesDisplay.title = this.state.resultCount
+        ? `${this.state.resultCount.toLocaleString()} results, ${this.state.totalPages} pages`
+        : '';
+    }
+    this.setProcessStepActive('page', this.state.currentPage < lastPage);
 
     // Calculate and update company processing progress
     const totalInQueue = this.state.totalCompaniesFound || 0;
@@ -1410,7 +2892,7 @@ class SidePanelUI {
     if (this.companies.length === 0) {
       this.dataTableBody.innerHTML = `
         <tr class="empty-state">
-          <td colspan="7">
+          <td colspan="11">
             <svg style="width: 48px; height: 48px; margin: 0 auto var(--spacing-md); display: block; opacity: 0.3;" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
               <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path>
               <circle cx="12" cy="7" r="4"></circle>
@@ -1420,6 +2902,7 @@ class SidePanelUI {
           </td>
         </tr>
       `;
+      this.updateRefreshControls();
       return;
     }
     
@@ -1427,6 +2910,38 @@ class SidePanelUI {
     this.companies.forEach((company, index) => {
       this.addCompanyToTable(company, index + 1);
     });
+    this.updateDomainDuplicateFlags();
+    this.updateRefreshControls();
+  }
+
+  /**
+   * Flag rows whose website domain is shared with another company as possible duplicates
+   */
+  updateDomainDuplicateFlags() {
+    const domainCounts = new Map();
+    this.companies.forEach(company => {
+      if (company.domain) {
+        domainCounts.set(company.domain, (domainCounts.get(company.domain) || 0) + 1);
+      }
+    });
+    
+    this.dataTableBody.querySelectorAll('tr[data-company-index]').forEach(row => {
+      const company = this.companies[Number(row.getAttribute('data-company-index'))];
+      const count = company && company.domain ? domainCounts.get(company.domain) : 0;
+      const websiteCell = row.children[2];
+      const existingBadge = websiteCell.querySelector('.duplicate-badge');
+      
+      row.classList.toggle('possible-duplicate', count > 1);
+      if (count > 1 && !existingBadge) {
+        const badge = document.createElement('span');
+        badge.className = 'duplicate-badge';
+        badge.textContent = 'dup?';
+        badge.title = `Possible duplicate: ${count} companies share the domain ${company.domain}`;
+        websiteCell.prepend(badge);
+      } else if (count <= 1 && existingBadge) {
+        existingBadge.remove();
+      }
+    });
   }
 
   /**
@@ -1446,17 +2961,53 @@ class SidePanelUI {
     row.style.opacity = '0';
     row.style.transform = 'translateX(-20px)';
     
+    // Show tagline, followers and overview on hover so rows can be qualified without reopening LinkedIn
+    const followersText = typeof company.followers === 'number'
+      ? `${company.followers.toLocaleString()} followers`
+      : null;
+    const stockText = company.stock
+      ? [company.stock.exchange, company.stock.ticker].filter(Boolean).join(': ')
+      : null;
+    const nameTitle = [company.name, company.tagline, followersText, stockText, company.description]
+      .filter(text => text && text !== 'N/A')
+      .join('\n\n');
+    
+    // List every office location on hover of the Location cell
+    const locationTitle = Array.isArray(company.locations) && company.locations.length > 0
+      ? company.locations.map(location => LocationParser.formatLocation(location) + (location.isPrimary ? ' (Primary)' : '')).join('\n')
+      : (company.headquarters || 'N/A');
+    
+    const specialties = Array.isArray(company.specialties) && company.specialties.length > 0
+      ? company.specialties.join(', ')
+      : 'N/A';
+    
+    const refreshable = this.isRefreshable(company);
+    
     row.innerHTML = `
-      <td>${rowIndex}</td>
-      <td title="${this.escapeHtml(company.name)}">${this.escapeHtml(company.name)}</td>
+      <td>${refreshable ?
+        `<input type="checkbox" class="row-select" title="Select for refresh" aria-label="Select for refresh"${this.selectedForRefresh.has(company.url) ? ' checked' : ''}>` :
+        ''}${rowIndex}</td>
+      <td title="${this.escapeHtml(nameTitle)}">
+        ${company.logoUrl && company.logoUrl !== 'N/A' ?
+          `<img class="company-logo" src="${this.escapeHtml(company.logoUrl)}" alt="" loading="lazy" referrerpolicy="no-referrer">` :
+          '<span class="company-logo company-logo-placeholder"></span>'}
+        ${this.escapeHtml(company.name)}
+        ${company.isVerified ? '<span class="verified-badge" title="Verified page">&#10003;</span>' : ''}
+        ${company.depth === 'card' ? '<span class="depth-badge" title="Collected from the search results card only; run a full collection to fill in the About page details">card</span>' : ''}
+        ${Array.isArray(company.history) && company.history.length > 0 ? `<button class="history-badge" title="Show change history">v${company.version || 1}</button>` : ''}
+      </td>
       <td title="${this.escapeHtml(company.website || 'N/A')}">
         ${company.website && company.website !== 'N/A' ? 
           `<a href="${this.escapeHtml(company.website)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(company.website)}</a>` : 
           'N/A'}
       </td>
       <td title="${this.escapeHtml(company.industry || 'N/A')}">${this.escapeHtml(company.industry || 'N/A')}</td>
-      <td title="${this.escapeHtml(company.phone || 'N/A')}">${this.escapeHtml(company.phone || 'N/A')}</td>
-      <td title="${this.escapeHtml(company.headquarters || 'N/A')}">${this.escapeHtml(company.headquarters || 'N/A')}</td>
+      <td title="${this.escapeHtml(company.phoneE164 || company.phone || 'N/A')}">${this.escapeHtml(company.phone || 'N/A')}</td>
+      <td title="${this.escapeHtml(locationTitle)}">${this.escapeHtml(company.headquarters || 'N/A')}</td>
+      <td title="${this.escapeHtml(this.formatCompanySize(company))}">${this.escapeHtml(this.formatCompanySize(company))}</td>
+      <td>${company.foundedYear ? this.escapeHtml(String(company.foundedYear)) : 'N/A'}</td>
+      <td title="${this.escapeHtml(company.companyType || 'N/A')}">${this.escapeHtml(company.companyType || 'N/A')}</td>
+      <td title="${this.escapeHtml(specialties)}">${this.escapeHtml(specialties)}</td>
       <td>
         <button class="btn-delete" data-company-index="${rowIndex - 1}" title="Delete this company" aria-label="Delete company">
           <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1467,6 +3018,41 @@ class SidePanelUI {
       </td>
     `;
     
+    // Highlight values that need manual review
+    this.markLowConfidenceCells(row, company);
+    
+    // Fall back to the placeholder if the logo URL has expired
+    const logo = row.querySelector('img.company-logo');
+    if (logo) {
+      logo.addEventListener('error', () => {
+        logo.replaceWith(Object.assign(document.createElement('span'), {
+          className: 'company-logo company-logo-placeholder'
+        }));
+      });
+    }
+    
+    // Open the change history from the version badge
+    const historyBadge = row.querySelector('.history-badge');
+    if (historyBadge) {
+      historyBadge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showChangeHistory(company);
+      });
+    }
+    
+    // Tick the row for a refresh run
+    const selectBox = row.querySelector('.row-select');
+    if (selectBox) {
+      selectBox.addEventListener('change', () => {
+        if (selectBox.checked) {
+          this.selectedForRefresh.add(company.url);
+        } else {
+          this.selectedForRefresh.delete(company.url);
+        }
+        this.updateRefreshControls();
+      });
+    }
+    
     // Add delete button event listener
     const deleteBtn = row.querySelector('.btn-delete');
     deleteBtn.addEventListener('click', (e) => {
@@ -1484,6 +3070,43 @@ class SidePanelUI {
     });
   }
 
+  /**
+   * Highlight cells whose value came from a low-confidence strategy (per company._meta)
+   */
+  markLowConfidenceCells(row, company) {
+    const fields = company._meta && company._meta.fields;
+    if (!fields) return;
+    
+    // Table column index -> data field
+    const columns = {
+      1: 'name', 2: 'website', 3: 'industry', 4: 'phone', 5: 'headquarters',
+      6: 'companySize', 7: 'foundedYear', 8: 'companyType', 9: 'specialties'
+    };
+    
+    for (const [column, field] of Object.entries(columns)) {
+      const source = fields[field];
+      if (source && source.confidence === 'low') {
+        const cell = row.children[column];
+        const found = source.selector ? `${source.strategy} (${source.selector})` : source.strategy;
+        cell.classList.add('low-confidence');
+        cell.title = `${cell.title}\n\nLow confidence - found by ${found}; please review`;
+      }
+    }
+  }
+
+  /**
+   * Format company size and associated members for the table
+   */
+  formatCompanySize(company) {
+    const size = company.companySize && company.companySize !== 'N/A'
+      ? company.companySize.replace(/\s*employees?$/i, '')
+      : 'N/A';
+    if (typeof company.associatedMembers === 'number') {
+      return `${size} (${company.associatedMembers.toLocaleString()} on LinkedIn)`;
+    }
+    return size;
+  }
+
   /**
    * Check if a company already exists (duplicate check)
    * FIXED: Enhanced matching with improved URL normalization and name matching
@@ -1529,13 +3152,32 @@ class SidePanelUI {
       return name.toLowerCase().trim();
     };
     
+    // Normalize LinkedIn organization IDs for comparison
+    const normalizeOrganizationId = (id) => {
+      if (id === null || id === undefined) return null;
+      const normalized = String(id).trim();
+      return /^\d+$/.test(normalized) ? normalized : null;
+    };
+    
+    // Strategy 0: Check by organization ID (preferred when both records have one)
+    let candidates = this.companies;
+    const companyId = normalizeOrganizationId(company.organizationId);
+    if (companyId) {
+      if (candidates.some(c => normalizeOrganizationId(c.organizationId) === companyId)) {
+        return true;
+      }
+      
+      // Records with a different ID are different companies
+      candidates = candidates.filter(c => !normalizeOrganizationId(c.organizationId));
+    }
+    
     const companyUrl = normalizeUrl(company.url);
     const companyName = normalizeName(company.name);
     const companySlug = extractCompanySlug(company.url);
     
     // Strategy 1: Check by normalized URL
     if (companyUrl) {
-      const duplicateByUrl = this.companies.find(c => {
+      const duplicateByUrl = candidates.find(c => {
         const existingUrl = normalizeUrl(c.url);
         if (!existingUrl) return false;
         
@@ -1561,7 +3203,7 @@ class SidePanelUI {
     
     // Strategy 2: Check by company slug
     if (companySlug) {
-      const duplicateBySlug = this.companies.find(c => {
+      const duplicateBySlug = candidates.find(c => {
         const existingSlug = extractCompanySlug(c.url);
         return existingSlug && existingSlug === companySlug;
       });
@@ -1573,7 +3215,7 @@ class SidePanelUI {
     
     // Strategy 3: Check by name (even if URL exists, as secondary check)
     if (companyName) {
-      const duplicateByName = this.companies.find(c => {
+      const duplicateByName = candidates.find(c => {
         const existingName = normalizeName(c.name);
         if (!existingName || existingName === 'n/a') return false;
         
@@ -1650,11 +3292,12 @@ class SidePanelUI {
 
   /**
    * Escape HTML to prevent XSS
+   * Quotes are escaped too, so the result is safe inside quoted attributes (title, src, data-*)
    */
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text || '';
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
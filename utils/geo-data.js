@@ -0,0 +1,500 @@
+// Offline Geographic Reference Data for LinkedIn Scraper Extension
+// Used by LocationParser to turn free-text locations into city / region / ISO country
+// and by PhoneParser to map countries to international calling codes
+
+const GEO_DATA = Object.freeze({
+  // ISO 3166-1 alpha-2 code -> English short name
+  countries: {
+    AD: 'Andorra',
+    AE: 'United Arab Emirates',
+    AF: 'Afghanistan',
+    AG: 'Antigua and Barbuda',
+    AI: 'Anguilla',
+    AL: 'Albania',
+    AM: 'Armenia',
+    AO: 'Angola',
+    AQ: 'Antarctica',
+    AR: 'Argentina',
+    AS: 'American Samoa',
+    AT: 'Austria',
+    AU: 'Australia',
+    AW: 'Aruba',
+    AX: 'Åland Islands',
+    AZ: 'Azerbaijan',
+    BA: 'Bosnia and Herzegovina',
+    BB: 'Barbados',
+    BD: 'Bangladesh',
+    BE: 'Belgium',
+    BF: 'Burkina Faso',
+    BG: 'Bulgaria',
+    BH: 'Bahrain',
+    BI: 'Burundi',
+    BJ: 'Benin',
+    BL: 'Saint Barthélemy',
+    BM: 'Bermuda',
+    BN: 'Brunei',
+    BO: 'Bolivia',
+    BQ: 'Caribbean Netherlands',
+    BR: 'Brazil',
+    BS: 'Bahamas',
+    BT: 'Bhutan',
+    BW: 'Botswana',
+    BY: 'Belarus',
+    BZ: 'Belize',
+    CA: 'Canada',
+    CC: 'Cocos (Keeling) Islands',
+    CD: 'Democratic Republic of the Congo',
+    CF: 'Central African Republic',
+    CG: 'Republic of the Congo',
+    CH: 'Switzerland',
+    CI: "Côte d'Ivoire",
+    CK: 'Cook Islands',
+    CL: 'Chile',
+    CM: 'Cameroon',
+    CN: 'China',
+    CO: 'Colombia',
+    CR: 'Costa Rica',
+    CU: 'Cuba',
+    CV: 'Cape Verde',
+    CW: 'Curaçao',
+    CX: 'Christmas Island',
+    CY: 'Cyprus',
+    CZ: 'Czechia',
+    DE: 'Germany',
+    DJ: 'Djibouti',
+    DK: 'Denmark',
+    DM: 'Dominica',
+    DO: 'Dominican Republic',
+    DZ: 'Algeria',
+    EC: 'Ecuador',
+    EE: 'Estonia',
+    EG: 'Egypt',
+    EH: 'Western Sahara',
+    ER: 'Eritrea',
+    ES: 'Spain',
+    ET: 'Ethiopia',
+    FI: 'Finland',
+    FJ: 'Fiji',
+    FK: 'Falkland Islands',
+    FM: 'Micronesia',
+    FO: 'Faroe Islands',
+    FR: 'France',
+    GA: 'Gabon',
+    GB: 'United Kingdom',
+    GD: 'Grenada',
+    GE: 'Georgia',
+    GF: 'French Guiana',
+    GG: 'Guernsey',
+    GH: 'Ghana',
+    GI: 'Gibraltar',
+    GL: 'Greenland',
+    GM: 'Gambia',
+    GN: 'Guinea',
+    GP: 'Guadeloupe',
+    GQ: 'Equatorial Guinea',
+    GR: 'Greece',
+    GT: 'Guatemala',
+    GU: 'Guam',
+    GW: 'Guinea-Bissau',
+    GY: 'Guyana',
+    HK: 'Hong Kong',
+    HN: 'Honduras',
+    HR: 'Croatia',
+    HT: 'Haiti',
+    HU: 'Hungary',
+    ID: 'Indonesia',
+    IE: 'Ireland',
+    IL: 'Israel',
+    IM: 'Isle of Man',
+    IN: 'India',
+    IQ: 'Iraq',
+    IR: 'Iran',
+    IS: 'Iceland',
+    IT: 'Italy',
+    JE: 'Jersey',
+    JM: 'Jamaica',
+    JO: 'Jordan',
+    JP: 'Japan',
+    KE: 'Kenya',
+    KG: 'Kyrgyzstan',
+    KH: 'Cambodia',
+    KI: 'Kiribati',
+    KM: 'Comoros',
+    KN: 'Saint Kitts and Nevis',
+    KP: 'North Korea',
+    KR: 'South Korea',
+    KW: 'Kuwait',
+    KY: 'Cayman Islands',
+    KZ: 'Kazakhstan',
+    LA: 'Laos',
+    LB: 'Lebanon',
+    LC: 'Saint Lucia',
+    LI: 'Liechtenstein',
+    LK: 'Sri Lanka',
+    LR: 'Liberia',
+    LS: 'Lesotho',
+    LT: 'Lithuania',
+    LU: 'Luxembourg',
+    LV: 'Latvia',
+    LY: 'Libya',
+    MA: 'Morocco',
+    MC: 'Monaco',
+    MD: 'Moldova',
+    ME: 'Montenegro',
+    MF: 'Saint Martin',
+    MG: 'Madagascar',
+    MH: 'Marshall Islands',
+    MK: 'North Macedonia',
+    ML: 'Mali',
+    MM: 'Myanmar',
+    MN: 'Mongolia',
+    MO: 'Macao',
+    MP: 'Northern Mariana Islands',
+    MQ: 'Martinique',
+    MR: 'Mauritania',
+    MS: 'Montserrat',
+    MT: 'Malta',
+    MU: 'Mauritius',
+    MV: 'Maldives',
+    MW: 'Malawi',
+    MX: 'Mexico',
+    MY: 'Malaysia',
+    MZ: 'Mozambique',
+    NA: 'Namibia',
+    NC: 'New Caledonia',
+    NE: 'Niger',
+    NF: 'Norfolk Island',
+    NG: 'Nigeria',
+    NI: 'Nicaragua',
+    NL: 'Netherlands',
+    NO: 'Norway',
+    NP: 'Nepal',
+    NR: 'Nauru',
+    NU: 'Niue',
+    NZ: 'New Zealand',
+    OM: 'Oman',
+    PA: 'Panama',
+    PE: 'Peru',
+    PF: 'French Polynesia',
+    PG: 'Papua New Guinea',
+    PH: 'Philippines',
+    PK: 'Pakistan',
+    PL: 'Poland',
+    PM: 'Saint Pierre and Miquelon',
+    PR: 'Puerto Rico',
+    PS: 'Palestine',
+    PT: 'Portugal',
+    PW: 'Palau',
+    PY: 'Paraguay',
+    QA: 'Qatar',
+    RE: 'Réunion',
+    RO: 'Romania',
+    RS: 'Serbia',
+    RU: 'Russia',
+    RW: 'Rwanda',
+    SA: 'Saudi Arabia',
+    SB: 'Solomon Islands',
+    SC: 'Seychelles',
+    SD: 'Sudan',
+    SE: 'Sweden',
+    SG: 'Singapore',
+    SH: 'Saint Helena',
+    SI: 'Slovenia',
+    SK: 'Slovakia',
+    SL: 'Sierra Leone',
+    SM: 'San Marino',
+    SN: 'Senegal',
+    SO: 'Somalia',
+    SR: 'Suriname',
+    SS: 'South Sudan',
+    ST: 'São Tomé and Príncipe',
+    SV: 'El Salvador',
+    SX: 'Sint Maarten',
+    SY: 'Syria',
+    SZ: 'Eswatini',
+    TC: 'Turks and Caicos Islands',
+    TD: 'Chad',
+    TG: 'Togo',
+    TH: 'Thailand',
+    TJ: 'Tajikistan',
+    TL: 'Timor-Leste',
+    TM: 'Turkmenistan',
+    TN: 'Tunisia',
+    TO: 'Tonga',
+    TR: 'Türkiye',
+    TT: 'Trinidad and Tobago',
+    TV: 'Tuvalu',
+    TW: 'Taiwan',
+    TZ: 'Tanzania',
+    UA: 'Ukraine',
+    UG: 'Uganda',
+    US: 'United States',
+    UY: 'Uruguay',
+    UZ: 'Uzbekistan',
+    VA: 'Vatican City',
+    VC: 'Saint Vincent and the Grenadines',
+    VE: 'Venezuela',
+    VG: 'British Virgin Islands',
+    VI: 'U.S. Virgin Islands',
+    VN: 'Vietnam',
+    VU: 'Vanuatu',
+    WF: 'Wallis and Futuna',
+    WS: 'Samoa',
+    XK: 'Kosovo',
+    YE: 'Yemen',
+    YT: 'Mayotte',
+    ZA: 'South Africa',
+    ZM: 'Zambia',
+    ZW: 'Zimbabwe'
+  },
+
+  // Alternative country names seen on LinkedIn (lowercase) -> ISO code
+  countryAliases: {
+    'usa': 'US',
+    'u.s.': 'US',
+    'u.s.a.': 'US',
+    'united states of america': 'US',
+    'america': 'US',
+    'uk': 'GB',
+    'u.k.': 'GB',
+    'great britain': 'GB',
+    'britain': 'GB',
+    'united kingdom of great britain and northern ireland': 'GB',
+    'uae': 'AE',
+    'czech republic': 'CZ',
+    'turkey': 'TR',
+    'republic of korea': 'KR',
+    'korea': 'KR',
+    'russian federation': 'RU',
+    'viet nam': 'VN',
+    'ivory coast': 'CI',
+    'holland': 'NL',
+    'the netherlands': 'NL',
+    'swaziland': 'SZ',
+    'macedonia': 'MK',
+    'burma': 'MM',
+    'deutschland': 'DE',
+    'österreich': 'AT',
+    'schweiz': 'CH',
+    'suisse': 'CH',
+    'españa': 'ES',
+    'méxico': 'MX',
+    'brasil': 'BR',
+    'italia': 'IT',
+    'belgië': 'BE',
+    'belgique': 'BE',
+    'nederland': 'NL',
+    'polska': 'PL',
+    'sverige': 'SE',
+    'norge': 'NO',
+    'danmark': 'DK',
+    'suomi': 'FI',
+    'éire': 'IE',
+    'hong kong sar': 'HK',
+    'mainland china': 'CN',
+    "people's republic of china": 'CN'
+  },
+
+  // Regions by country: canonical name -> list of codes / alternative names
+  regions: {
+    US: {
+      'Alabama': ['AL'],
+      'Alaska': ['AK'],
+      'Arizona': ['AZ'],
+      'Arkansas': ['AR'],
+      'California': ['CA', 'Calif.'],
+      'Colorado': ['CO'],
+      'Connecticut': ['CT'],
+      'Delaware': ['DE'],
+      'District of Columbia': ['DC', 'Washington DC', 'Washington, D.C.'],
+      'Florida': ['FL'],
+      'Georgia': ['GA'],
+      'Hawaii': ['HI'],
+      'Idaho': ['ID'],
+      'Illinois': ['IL'],
+      'Indiana': ['IN'],
+      'Iowa': ['IA'],
+      'Kansas': ['KS'],
+      'Kentucky': ['KY'],
+      'Louisiana': ['LA'],
+      'Maine': ['ME'],
+      'Maryland': ['MD'],
+      'Massachusetts': ['MA'],
+      'Michigan': ['MI'],
+      'Minnesota': ['MN'],
+      'Mississippi': ['MS'],
+      'Missouri': ['MO'],
+      'Montana': ['MT'],
+      'Nebraska': ['NE'],
+      'Nevada': ['NV'],
+      'New Hampshire': ['NH'],
+      'New Jersey': ['NJ'],
+      'New Mexico': ['NM'],
+      'New York': ['NY'],
+      'North Carolina': ['NC'],
+      'North Dakota': ['ND'],
+      'Ohio': ['OH'],
+      'Oklahoma': ['OK'],
+      'Oregon': ['OR'],
+      'Pennsylvania': ['PA'],
+      'Rhode Island': ['RI'],
+      'South Carolina': ['SC'],
+      'South Dakota': ['SD'],
+      'Tennessee': ['TN'],
+      'Texas': ['TX'],
+      'Utah': ['UT'],
+      'Vermont': ['VT'],
+      'Virginia': ['VA'],
+      'Washington': ['WA'],
+      'West Virginia': ['WV'],
+      'Wisconsin': ['WI'],
+      'Wyoming': ['WY']
+    },
+    CA: {
+      'Alberta': ['AB'],
+      'British Columbia': ['BC'],
+      'Manitoba': ['MB'],
+      'New Brunswick': ['NB'],
+      'Newfoundland and Labrador': ['NL'],
+      'Northwest Territories': ['NT'],
+      'Nova Scotia': ['NS'],
+      'Nunavut': ['NU'],
+      'Ontario': ['ON'],
+      'Prince Edward Island': ['PE'],
+      'Quebec': ['QC', 'Québec'],
+      'Saskatchewan': ['SK'],
+      'Yukon': ['YT']
+    },
+    AU: {
+      'Australian Capital Territory': ['ACT'],
+      'New South Wales': ['NSW'],
+      'Northern Territory': ['NT'],
+      'Queensland': ['QLD'],
+      'South Australia': ['SA'],
+      'Tasmania': ['TAS'],
+      'Victoria': ['VIC'],
+      'Western Australia': ['WA']
+    },
+    GB: {
+      'England': ['ENG'],
+      'Scotland': ['SCT'],
+      'Wales': ['WLS'],
+      'Northern Ireland': ['NIR']
+    },
+    DE: {
+      'Baden-Württemberg': ['Baden-Wurttemberg'],
+      'Bavaria': ['Bayern'],
+      'Berlin': [],
+      'Brandenburg': [],
+      'Bremen': [],
+      'Hamburg': [],
+      'Hesse': ['Hessen'],
+      'Lower Saxony': ['Niedersachsen'],
+      'Mecklenburg-Western Pomerania': ['Mecklenburg-Vorpommern'],
+      'North Rhine-Westphalia': ['Nordrhein-Westfalen', 'NRW'],
+      'Rhineland-Palatinate': ['Rheinland-Pfalz'],
+      'Saarland': [],
+      'Saxony': ['Sachsen'],
+      'Saxony-Anhalt': ['Sachsen-Anhalt'],
+      'Schleswig-Holstein': [],
+      'Thuringia': ['Thüringen']
+    },
+    FR: {
+      'Île-de-France': ['Ile-de-France'],
+      'Auvergne-Rhône-Alpes': ['Auvergne-Rhone-Alpes'],
+      "Provence-Alpes-Côte d'Azur": ['PACA'],
+      'Occitanie': ['Occitania'],
+      'Nouvelle-Aquitaine': [],
+      'Hauts-de-France': [],
+      'Grand Est': [],
+      'Brittany': ['Bretagne'],
+      'Pays de la Loire': []
+    },
+    ES: {
+      'Community of Madrid': ['Comunidad de Madrid'],
+      'Catalonia': ['Cataluña', 'Catalunya'],
+      'Andalusia': ['Andalucía'],
+      'Valencian Community': ['Comunidad Valenciana', 'Comunitat Valenciana'],
+      'Basque Country': ['País Vasco', 'Euskadi']
+    },
+    IT: {
+      'Lombardy': ['Lombardia'],
+      'Lazio': [],
+      'Piedmont': ['Piemonte'],
+      'Veneto': [],
+      'Emilia-Romagna': [],
+      'Tuscany': ['Toscana']
+    },
+    NL: {
+      'North Holland': ['Noord-Holland'],
+      'South Holland': ['Zuid-Holland'],
+      'North Brabant': ['Noord-Brabant']
+    },
+    IN: {
+      'Karnataka': [],
+      'Maharashtra': [],
+      'Tamil Nadu': [],
+      'Telangana': [],
+      'Delhi': ['NCT of Delhi', 'National Capital Territory of Delhi'],
+      'Haryana': [],
+      'Uttar Pradesh': [],
+      'Gujarat': [],
+      'West Bengal': [],
+      'Kerala': []
+    },
+    BR: {
+      'São Paulo': ['Sao Paulo', 'SP'],
+      'Rio de Janeiro': ['RJ'],
+      'Minas Gerais': ['MG']
+    },
+    IE: {
+      'County Dublin': ['Co. Dublin', 'Dublin County']
+    },
+    CN: {
+      'Guangdong': [],
+      'Zhejiang': [],
+      'Jiangsu': []
+    }
+  },
+
+  // ISO code -> international calling code. Countries sharing a code are listed in
+  // order of preference, so the first one wins when the number alone can't tell them apart
+  callingCodes: {
+    US: '1', CA: '1', PR: '1', DO: '1', JM: '1', BS: '1', BB: '1', TT: '1',
+    BM: '1', KY: '1', RU: '7', KZ: '7', EG: '20', ZA: '27', GR: '30', NL: '31',
+    BE: '32', FR: '33', ES: '34', HU: '36', IT: '39', VA: '39', RO: '40', CH: '41',
+    AT: '43', GB: '44', GG: '44', JE: '44', IM: '44', DK: '45', SE: '46', NO: '47',
+    PL: '48', DE: '49', PE: '51', MX: '52', CU: '53', AR: '54', BR: '55', CL: '56',
+    CO: '57', VE: '58', MY: '60', AU: '61', ID: '62', PH: '63', NZ: '64', SG: '65',
+    TH: '66', JP: '81', KR: '82', VN: '84', CN: '86', TR: '90', IN: '91', PK: '92',
+    AF: '93', LK: '94', MM: '95', IR: '98', MA: '212', DZ: '213', TN: '216', LY: '218',
+    GM: '220', SN: '221', ML: '223', GN: '224', CI: '225', BF: '226', NE: '227', TG: '228',
+    BJ: '229', MU: '230', LR: '231', SL: '232', GH: '233', NG: '234', TD: '235', CF: '236',
+    CM: '237', CV: '238', GA: '241', CG: '242', CD: '243', AO: '244', SC: '248', SD: '249',
+    RW: '250', ET: '251', SO: '252', DJ: '253', KE: '254', TZ: '255', UG: '256', BI: '257',
+    MZ: '258', ZM: '260', MG: '261', RE: '262', ZW: '263', NA: '264', MW: '265', LS: '266',
+    BW: '267', SZ: '268', GI: '350', PT: '351', LU: '352', IE: '353', IS: '354', AL: '355',
+    MT: '356', CY: '357', FI: '358', BG: '359', LT: '370', LV: '371', EE: '372', MD: '373',
+    AM: '374', BY: '375', AD: '376', MC: '377', SM: '378', UA: '380', RS: '381', ME: '382',
+    XK: '383', HR: '385', SI: '386', BA: '387', MK: '389', CZ: '420', SK: '421', LI: '423',
+    BZ: '501', GT: '502', SV: '503', HN: '504', NI: '505', CR: '506', PA: '507', HT: '509',
+    BO: '591', GY: '592', EC: '593', PY: '595', SR: '597', UY: '598', BN: '673', PG: '675',
+    FJ: '679', HK: '852', MO: '853', KH: '855', LA: '856', BD: '880', TW: '886', MV: '960',
+    LB: '961', JO: '962', SY: '963', IQ: '964', KW: '965', SA: '966', YE: '967', OM: '968',
+    PS: '970', AE: '971', IL: '972', BH: '973', QA: '974', BT: '975', MN: '976', NP: '977',
+    TJ: '992', TM: '993', AZ: '994', GE: '995', KG: '996', UZ: '998'
+  },
+
+  // Countries whose national trunk prefix "0" is part of the number in E.164 form
+  keepTrunkPrefix: ['IT', 'VA', 'SM']
+});
+
+// Make available globally for content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.GEO_DATA = GEO_DATA;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GEO_DATA;
+}
@@ -0,0 +1,297 @@
+// Localized About-Page Labels for LinkedIn Scraper Extension
+// Field -> language (primary subtag of <html lang>) -> labels as LinkedIn shows them.
+// Matching is case-insensitive; English is always tried as a fallback.
+
+const LABEL_DICTIONARY = Object.freeze({
+  website: {
+    en: ['Website'],
+    de: ['Website', 'Webseite'],
+    fr: ['Site web', 'Site Web'],
+    es: ['Sitio web'],
+    pt: ['Site', 'Website'],
+    it: ['Sito web'],
+    nl: ['Website'],
+    sv: ['Webbplats'],
+    da: ['Websted', 'Hjemmeside'],
+    no: ['Nettsted', 'Nettside'],
+    pl: ['Witryna', 'Strona internetowa'],
+    tr: ['Web sitesi'],
+    ru: ['Сайт', 'Веб-сайт'],
+    ja: ['ウェブサイト', 'Webサイト'],
+    zh: ['网站', '網站'],
+    ko: ['웹사이트'],
+    id: ['Situs web', 'Situs'],
+    cs: ['Web', 'Webové stránky'],
+    ro: ['Site web']
+  },
+
+  industry: {
+    en: ['Industry'],
+    de: ['Branche'],
+    fr: ['Secteur'],
+    es: ['Sector'],
+    pt: ['Setor'],
+    it: ['Settore'],
+    nl: ['Branche', 'Sector'],
+    sv: ['Bransch'],
+    da: ['Branche'],
+    no: ['Bransje'],
+    pl: ['Branża'],
+    tr: ['Sektör'],
+    ru: ['Отрасль'],
+    ja: ['業界'],
+    zh: ['行业', '行業'],
+    ko: ['업계'],
+    id: ['Industri'],
+    cs: ['Odvětví'],
+    ro: ['Industrie']
+  },
+
+  phone: {
+    en: ['Phone'],
+    de: ['Telefon'],
+    fr: ['Téléphone'],
+    es: ['Teléfono'],
+    pt: ['Telefone'],
+    it: ['Telefono'],
+    nl: ['Telefoon'],
+    sv: ['Telefon'],
+    da: ['Telefon'],
+    no: ['Telefon'],
+    pl: ['Telefon'],
+    tr: ['Telefon'],
+    ru: ['Телефон'],
+    ja: ['電話'],
+    zh: ['电话', '電話'],
+    ko: ['전화'],
+    id: ['Telepon'],
+    cs: ['Telefon'],
+    ro: ['Telefon']
+  },
+
+  headquarters: {
+    en: ['Headquarters', 'Headquarter'],
+    de: ['Hauptsitz', 'Firmensitz'],
+    fr: ['Siège social'],
+    es: ['Sede'],
+    pt: ['Sede'],
+    it: ['Sede principale', 'Sede'],
+    nl: ['Hoofdkantoor'],
+    sv: ['Huvudkontor'],
+    da: ['Hovedkontor'],
+    no: ['Hovedkontor'],
+    pl: ['Siedziba główna', 'Siedziba'],
+    tr: ['Genel Merkez'],
+    ru: ['Штаб-квартира'],
+    ja: ['本社'],
+    zh: ['总部', '總部'],
+    ko: ['본사'],
+    id: ['Kantor Pusat'],
+    cs: ['Sídlo'],
+    ro: ['Sediu']
+  },
+
+  companySize: {
+    en: ['Company size'],
+    de: ['Unternehmensgröße', 'Größe'],
+    fr: ['Taille de l’entreprise', 'Taille'],
+    es: ['Tamaño de la empresa'],
+    pt: ['Tamanho da empresa'],
+    it: ['Dimensioni dell’azienda'],
+    nl: ['Bedrijfsgrootte'],
+    sv: ['Företagsstorlek'],
+    da: ['Virksomhedsstørrelse'],
+    no: ['Bedriftsstørrelse'],
+    pl: ['Wielkość firmy'],
+    tr: ['Şirket büyüklüğü'],
+    ru: ['Размер компании'],
+    ja: ['会社規模'],
+    zh: ['公司规模', '公司規模'],
+    ko: ['회사 규모'],
+    id: ['Ukuran perusahaan'],
+    cs: ['Velikost společnosti'],
+    ro: ['Dimensiunea companiei']
+  },
+
+  founded: {
+    en: ['Founded'],
+    de: ['Gegründet'],
+    fr: ['Fondée en', 'Fondé en'],
+    es: ['Año de fundación', 'Fundación'],
+    pt: ['Fundada em', 'Fundação'],
+    it: ['Fondata nel', 'Anno di fondazione'],
+    nl: ['Opgericht'],
+    sv: ['Grundat'],
+    da: ['Grundlagt'],
+    no: ['Grunnlagt'],
+    pl: ['Rok założenia'],
+    tr: ['Kuruluş'],
+    ru: ['Год основания'],
+    ja: ['設立'],
+    zh: ['创立', '創立', '成立'],
+    ko: ['설립'],
+    id: ['Didirikan'],
+    cs: ['Založeno'],
+    ro: ['Fondată']
+  },
+
+  companyType: {
+    en: ['Type'],
+    de: ['Unternehmensart', 'Rechtsform', 'Typ'],
+    fr: ['Type'],
+    es: ['Tipo'],
+    pt: ['Tipo'],
+    it: ['Tipo'],
+    nl: ['Type'],
+    sv: ['Typ'],
+    da: ['Type'],
+    no: ['Type'],
+    pl: ['Typ'],
+    tr: ['Tür'],
+    ru: ['Тип'],
+    ja: ['種類', 'タイプ'],
+    zh: ['类型', '類型'],
+    ko: ['유형'],
+    id: ['Jenis'],
+    cs: ['Typ'],
+    ro: ['Tip']
+  },
+
+  specialties: {
+    en: ['Specialties', 'Specialities'],
+    de: ['Spezialgebiete'],
+    fr: ['Domaines', 'Spécialisations'],
+    es: ['Especialidades'],
+    pt: ['Especializações'],
+    it: ['Specializzazioni'],
+    nl: ['Specialismen'],
+    sv: ['Specialiteter'],
+    da: ['Specialer'],
+    no: ['Spesialiteter'],
+    pl: ['Specjalizacje'],
+    tr: ['Uzmanlık alanları'],
+    ru: ['Специализация'],
+    ja: ['専門分野'],
+    zh: ['专业领域', '專業領域'],
+    ko: ['전문 분야'],
+    id: ['Spesialisasi'],
+    cs: ['Specializace'],
+    ro: ['Specializări']
+  },
+
+  verifiedPage: {
+    en: ['Verified page'],
+    de: ['Verifizierte Seite'],
+    fr: ['Page vérifiée'],
+    es: ['Página verificada'],
+    pt: ['Página verificada'],
+    it: ['Pagina verificata'],
+    nl: ['Geverifieerde pagina']
+  },
+
+  stock: {
+    en: ['Stock'],
+    de: ['Aktie'],
+    fr: ['Action'],
+    es: ['Acción', 'Acciones'],
+    pt: ['Ações'],
+    it: ['Azioni']
+  },
+
+  overview: {
+    en: ['Overview'],
+    de: ['Übersicht'],
+    fr: ['Présentation', 'Vue d’ensemble'],
+    es: ['Descripción general'],
+    pt: ['Visão geral'],
+    it: ['Panoramica'],
+    nl: ['Overzicht'],
+    sv: ['Översikt'],
+    da: ['Oversigt'],
+    no: ['Oversikt'],
+    pl: ['Przegląd'],
+    tr: ['Genel bakış'],
+    ru: ['Обзор'],
+    ja: ['概要'],
+    zh: ['概览', '概覽', '简介'],
+    ko: ['개요'],
+    id: ['Ikhtisar'],
+    cs: ['Přehled'],
+    ro: ['Prezentare generală']
+  },
+
+  // Value words (not labels): the unit after the company size range, e.g. "51-200 Beschäftigte"
+  employees: {
+    en: ['employees', 'employee'],
+    de: ['Beschäftigte', 'Mitarbeiter', 'Mitarbeitende'],
+    fr: ['employés', 'employé'],
+    es: ['empleados', 'empleado'],
+    pt: ['funcionários', 'funcionário'],
+    it: ['dipendenti', 'dipendente'],
+    nl: ['medewerkers', 'medewerker', 'werknemers'],
+    sv: ['anställda'],
+    da: ['medarbejdere', 'ansatte'],
+    no: ['ansatte'],
+    pl: ['pracowników', 'pracownik'],
+    tr: ['çalışan'],
+    ru: ['сотрудников', 'сотрудника', 'сотрудник'],
+    ja: ['人', '名'],
+    zh: ['人', '名员工', '名員工'],
+    ko: ['명'],
+    id: ['karyawan'],
+    cs: ['zaměstnanců', 'zaměstnanci'],
+    ro: ['angajați', 'angajat']
+  },
+
+  // Value words: the unit after the associated member count, e.g. "1.234 zugehörige Mitglieder"
+  associatedMembers: {
+    en: ['associated members', 'associated member'],
+    de: ['zugehörige Mitglieder', 'zugehöriges Mitglied', 'verbundene Mitglieder'],
+    fr: ['membres associés', 'membre associé'],
+    es: ['miembros asociados', 'miembro asociado'],
+    pt: ['membros associados', 'membro associado'],
+    it: ['membri associati', 'membro associato'],
+    nl: ['gekoppelde leden', 'geassocieerde leden'],
+    sv: ['associerade medlemmar', 'associerad medlem'],
+    da: ['tilknyttede medlemmer', 'tilknyttet medlem'],
+    no: ['tilknyttede medlemmer', 'tilknyttet medlem'],
+    pl: ['powiązanych członków', 'powiązani członkowie', 'powiązany członek'],
+    tr: ['ilişkili üye'],
+    ru: ['связанных участников', 'связанных участника', 'связанный участник'],
+    id: ['anggota terkait'],
+    cs: ['přidružených členů', 'přidružení členové'],
+    ro: ['membri asociați', 'membru asociat']
+  },
+
+  // Value words: the unit after the search result count, e.g. "Etwa 1.234 Ergebnisse"
+  results: {
+    en: ['results', 'result'],
+    de: ['Ergebnisse', 'Ergebnis'],
+    fr: ['résultats', 'résultat'],
+    es: ['resultados', 'resultado'],
+    pt: ['resultados', 'resultado'],
+    it: ['risultati', 'risultato'],
+    nl: ['resultaten', 'resultaat'],
+    sv: ['resultat'],
+    da: ['resultater', 'resultat'],
+    no: ['resultater', 'resultat'],
+    pl: ['wyników', 'wyniki', 'wynik'],
+    tr: ['sonuç'],
+    ru: ['результатов', 'результата', 'результат'],
+    ja: ['件'],
+    zh: ['个结果', '個結果', '条结果'],
+    id: ['hasil'],
+    cs: ['výsledků', 'výsledky', 'výsledek'],
+    ro: ['rezultate', 'rezultat']
+  }
+});
+
+// Make available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.LABEL_DICTIONARY = LABEL_DICTIONARY;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LABEL_DICTIONARY;
+}
@@ -0,0 +1,358 @@
+// Location Parsing Utilities for LinkedIn Scraper Extension
+// Shared by the content scripts (extraction) and the side panel (import)
+
+class LocationParser {
+  /**
+   * Parse a free-text headquarters string into city / region / ISO country
+   * Handles LinkedIn's common forms: "San Francisco, CA", "London, England",
+   * "Munich, Bavaria, DE", "Berlin, Germany", "Singapore"
+   * @param {string} text - Raw headquarters text
+   * @param {string|null} countryHint - ISO country known from elsewhere (e.g. the primary office);
+   *   resolves region codes and names shared by several countries ("Perth, WA" in AU)
+   * @returns {Object} {city, region, country} (country is an ISO 3166-1 alpha-2 code; missing parts are null)
+   */
+  static parseHeadquarters(text, countryHint = null) {
+    const result = { city: null, region: null, country: null };
+    if (!text || typeof text !== 'string' || text.trim() === 'N/A') return result;
+
+    const parts = text
+      .split(/[,\n]/)
+      .map(part => this.stripPostalCode(part))
+      .filter(Boolean);
+
+    if (parts.length === 0) return result;
+
+    if (parts.length === 1) {
+      const country = this.lookupCountry(parts[0]);
+      if (country) {
+        result.country = country;
+        return result;
+      }
+      const region = this.lookupRegion(parts[0], null, { allowCodes: false });
+      if (region) {
+        result.region = region.name;
+        result.country = region.country;
+        return result;
+      }
+      result.city = parts[0];
+      return result;
+    }
+
+    const last = parts[parts.length - 1];
+
+    if (parts.length === 2) {
+      // Names that are both a country and a region ("Georgia") are only resolved with a hint:
+      // "Atlanta, Georgia" with US is the state, "Tbilisi, Georgia" with GE the country; without
+      // one the region is kept and the country left open. Codes are regions first; without a hint,
+      // shared codes resolve to US states ("Seattle, WA")
+      const isCode = /^[A-Z]{2,3}$/.test(last);
+      const country = isCode ? null : this.lookupCountry(last);
+      const hintedRegion = countryHint ? this.lookupRegion(last, countryHint) : null;
+      const region = hintedRegion || this.lookupRegion(last);
+      if (hintedRegion || (region && !country)) {
+        result.region = region.name;
+        result.country = region.country;
+      } else if (region && countryHint !== country) {
+        result.region = region.name;
+      } else {
+        result.country = country || this.lookupCountry(last);
+        if (!result.country) {
+          result.region = last;
+        }
+      }
+      result.city = parts[0];
+      return result;
+    }
+
+    // Three or more parts: usually "City, Region, Country", but a trailing state code
+    // after a non-region segment is a region ("Mountain View, Santa Clara County, CA")
+    const trailingRegion = (countryHint && this.lookupRegion(last, countryHint)) ||
+      this.lookupRegion(last, null, { allowCodes: true });
+    if (trailingRegion && /^[A-Z]{2,3}$/.test(last) && !this.lookupRegion(parts[parts.length - 2])) {
+      result.region = trailingRegion.name;
+      result.country = trailingRegion.country;
+      result.city = parts[0];
+      return result;
+    }
+
+    result.country = this.lookupCountry(last);
+    if (result.country) {
+      parts.pop();
+    }
+
+    const regionText = parts.length > 1 ? parts.pop() : null;
+    if (regionText) {
+      const region = (!result.country && countryHint && this.lookupRegion(regionText, countryHint)) ||
+        this.lookupRegion(regionText, result.country);
+      result.region = region ? region.name : regionText;
+      if (!result.country && region) {
+        result.country = region.country;
+      }
+    }
+
+    result.city = parts[0] || null;
+    return result;
+  }
+
+  /**
+   * ISO country of the primary office (or the only office) in a locations list
+   * @param {Array<Object>} locations - Locations as returned by parseAddress / normalizeLocation
+   * @returns {string|null} ISO country code or null
+   */
+  static getPrimaryCountry(locations) {
+    if (!Array.isArray(locations) || locations.length === 0) return null;
+
+    const primary = locations.find(location => location && location.isPrimary) ||
+      (locations.length === 1 ? locations[0] : null);
+    return primary && primary.country ? this.lookupCountry(String(primary.country)) : null;
+  }
+
+  /**
+   * Look up an ISO 3166-1 alpha-2 country code by name, alias or code
+   * @param {string} text - Country name, alias or code
+   * @returns {string|null} ISO country code or null
+   */
+  static lookupCountry(text) {
+    if (!text) return null;
+
+    const index = this.getIndex();
+    const trimmed = text.trim();
+
+    if (/^[A-Z]{2}$/.test(trimmed) && index.countryCodes.has(trimmed)) {
+      return trimmed;
+    }
+
+    return index.countries.get(this.normalizeKey(trimmed)) || null;
+  }
+
+  /**
+   * Look up a region (state, province, nation) by name or code
+   * @param {string} text - Region name or code
+   * @param {string|null} country - Restrict to this ISO country code
+   * @param {Object} options - {allowCodes: boolean} match codes like "CA" / "NSW" (default true)
+   * @returns {Object|null} {name, country} or null
+   */
+  static lookupRegion(text, country = null, options = {}) {
+    if (!text) return null;
+
+    const allowCodes = options.allowCodes !== false;
+    const index = this.getIndex();
+    const trimmed = text.trim();
+
+    // Codes are matched case-sensitively so "Ca" or "in" in free text don't match
+    const isCode = /^[A-Z]{2,3}$/.test(trimmed);
+    if (isCode && !allowCodes) return null;
+
+    const candidates = isCode
+      ? (index.regionCodes.get(trimmed) || [])
+      : (index.regionNames.get(this.normalizeKey(trimmed)) || []);
+
+    if (country) {
+      return candidates.find(region => region.country === country) || null;
+    }
+
+    // Candidates are in table order, so US states win ties (e.g. "WA")
+    return candidates[0] || null;
+  }
+
+  /**
+   * Remove postal-code tokens from an address segment ("CA 94105" -> "CA")
+   * @param {string} segment - Address segment
+   * @returns {string} Segment without tokens containing digits
+   */
+  static stripPostalCode(segment) {
+    return (segment || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(token => token && !/\d/.test(token))
+      .join(' ');
+  }
+
+  /**
+   * Normalize a lookup key (lowercase, no diacritics, single spaces)
+   * @param {string} text - Text to normalize
+   * @returns {string} Lookup key
+   */
+  static normalizeKey(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Build (once) the lookup maps from GEO_DATA
+   * @returns {Object} {countries, countryCodes, regionNames, regionCodes}
+   */
+  static getIndex() {
+    if (this.index) return this.index;
+
+    const data = typeof GEO_DATA !== 'undefined' ? GEO_DATA : require('./geo-data.js');
+    const index = {
+      countries: new Map(),
+      countryCodes: new Set(Object.keys(data.countries)),
+      regionNames: new Map(),
+      regionCodes: new Map()
+    };
+
+    for (const [code, name] of Object.entries(data.countries)) {
+      index.countries.set(this.normalizeKey(name), code);
+    }
+    for (const [alias, code] of Object.entries(data.countryAliases)) {
+      index.countries.set(this.normalizeKey(alias), code);
+    }
+
+    const addTo = (map, key, region) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(region);
+    };
+
+    for (const [country, regions] of Object.entries(data.regions)) {
+      for (const [name, alternatives] of Object.entries(regions)) {
+        const region = { name, country };
+        addTo(index.regionNames, this.normalizeKey(name), region);
+        for (const alternative of alternatives) {
+          if (/^[A-Z]{2,3}$/.test(alternative)) {
+            addTo(index.regionCodes, alternative, region);
+          } else {
+            addTo(index.regionNames, this.normalizeKey(alternative), region);
+          }
+        }
+      }
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  /**
+   * Parse a LinkedIn office address into structured parts
+   * LinkedIn formats location cards as "street, city, region postal, country"
+   * e.g. "1000 W Maude Ave, Sunnyvale, CA 94085, US"
+   * @param {string|Array<string>} address - Address text or address lines
+   * @returns {Object|null} {addressLines, city, region, postalCode, country} or null
+   */
+  static parseAddress(address) {
+    const text = Array.isArray(address) ? address.join(', ') : address;
+    if (!text || typeof text !== 'string') return null;
+
+    const parts = text
+      .split(/[,\n]/)
+      .map(part => part.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    if (parts.length === 0) return null;
+
+    const location = {
+      addressLines: [],
+      city: null,
+      region: null,
+      postalCode: null,
+      country: null
+    };
+
+    // Last segment is the country when there is more than one segment
+    if (parts.length > 1 && !/\d/.test(parts[parts.length - 1])) {
+      const country = parts.pop();
+      location.country = this.lookupCountry(country) || country;
+    }
+
+    if (parts.length === 1) {
+      const { name, postalCode } = this.splitPostalCode(parts[0]);
+      location.city = name;
+      location.postalCode = postalCode;
+      return location;
+    }
+
+    // "region postal" segment, e.g. "CA 94085", "England EC1A 1BB", "80331"
+    const { name: region, postalCode } = this.splitPostalCode(parts.pop());
+    location.region = region;
+    location.postalCode = postalCode;
+
+    location.city = parts.pop() || null;
+    location.addressLines = parts;
+
+    return location;
+  }
+
+  /**
+   * Split a trailing postal code off a segment ("CA 94085" -> CA / 94085)
+   * The postal code starts at the first token containing a digit
+   * @param {string} segment - Address segment
+   * @returns {Object} {name: string|null, postalCode: string|null}
+   */
+  static splitPostalCode(segment) {
+    const tokens = (segment || '').split(' ').filter(Boolean);
+    const postalStart = tokens.findIndex(token => /\d/.test(token));
+
+    if (postalStart === -1) {
+      return { name: tokens.join(' ') || null, postalCode: null };
+    }
+
+    return {
+      name: tokens.slice(0, postalStart).join(' ') || null,
+      postalCode: tokens.slice(postalStart).join(' ')
+    };
+  }
+
+  /**
+   * Format a structured location back into a single line
+   * @param {Object} location - Structured location
+   * @returns {string} Formatted address
+   */
+  static formatLocation(location) {
+    if (!location) return '';
+
+    const regionPostal = [location.region, location.postalCode].filter(Boolean).join(' ');
+    return [
+      ...(location.addressLines || []),
+      location.city,
+      regionPostal,
+      location.country
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Sanitize a location entry (e.g. from an imported JSON file)
+   * @param {Object|string} entry - Location object or address string
+   * @returns {Object|null} Location with all fields present, or null
+   */
+  static normalizeLocation(entry) {
+    if (!entry) return null;
+
+    if (typeof entry === 'string') {
+      const parsed = this.parseAddress(entry);
+      return parsed ? { ...parsed, isPrimary: false } : null;
+    }
+
+    const toText = (value) => (value === null || value === undefined || value === '') ? null : String(value).trim();
+
+    const location = {
+      addressLines: Array.isArray(entry.addressLines)
+        ? entry.addressLines.map(line => String(line).trim()).filter(Boolean)
+        : [],
+      city: toText(entry.city),
+      region: toText(entry.region),
+      postalCode: toText(entry.postalCode),
+      country: toText(entry.country),
+      isPrimary: entry.isPrimary === true || entry.isPrimary === 'true'
+    };
+
+    const hasData = location.addressLines.length > 0 || location.city || location.region ||
+      location.postalCode || location.country;
+    return hasData ? location : null;
+  }
+}
+
+// Make available globally for content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.LocationParser = LocationParser;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocationParser;
+}
@@ -0,0 +1,138 @@
+// Phone Number Parsing Utilities for LinkedIn Scraper Extension
+// Shared by the content scripts (extraction) and the side panel (import)
+
+class PhoneParser {
+  /**
+   * Parse a phone number into its displayed form and E.164
+   * Numbers without a "+" / "00" prefix are read as national numbers of defaultCountry
+   * e.g. parse("(415) 555-0132", "US") -> {display: "(415) 555-0132", e164: "+14155550132", country: "US"}
+   * @param {string} text - Text containing a phone number
+   * @param {string|null} defaultCountry - ISO country code used when the number has no country prefix
+   * @returns {Object|null} {display, e164, country} (e164 / country null if they can't be determined) or null if no number found
+   */
+  static parse(text, defaultCountry = null) {
+    const found = this.findNumber(text);
+    if (!found) return null;
+
+    const result = { display: found.display, e164: null, country: null };
+    const index = this.getIndex();
+
+    let country = null;
+    let callingCode = null;
+    let national = found.digits;
+
+    if (found.international) {
+      // Calling codes are prefix-free, so the shortest match is the only match
+      for (let length = 1; length <= 3 && !callingCode; length++) {
+        const candidates = index.countriesByCode.get(national.slice(0, length));
+        if (candidates) {
+          callingCode = national.slice(0, length);
+          country = candidates.includes(defaultCountry) ? defaultCountry : candidates[0];
+        }
+      }
+      if (!callingCode) return result;
+      national = national.slice(callingCode.length);
+    } else {
+      country = defaultCountry && index.callingCodes[defaultCountry] ? defaultCountry : null;
+      if (!country) return result;
+      callingCode = index.callingCodes[country];
+
+      // North American numbers are often written with the leading "1"
+      if (callingCode === '1' && national.length === 11 && national.startsWith('1')) {
+        national = national.slice(1);
+      }
+    }
+
+    // Drop the national trunk prefix, e.g. "020 7946 0958" or "+44 (0)20 7946 0958"
+    if (national.startsWith('0') && !index.keepTrunkPrefix.has(country)) {
+      national = national.replace(/^0+/, '');
+    }
+
+    const validLength = callingCode === '1'
+      ? national.length === 10
+      : national.length >= 5 && callingCode.length + national.length <= 15;
+    if (!validLength) return result;
+
+    result.e164 = `+${callingCode}${national}`;
+    result.country = country;
+    return result;
+  }
+
+  /**
+   * Find the first phone-like number in a text
+   * @param {string} text - Text to search
+   * @returns {Object|null} {display, digits, international, extension} or null
+   */
+  static findNumber(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const pattern = /(\+\s*|\b00\s?)?\(?\d[\d\s().\-\/]{4,}\d(?:\s*(?:ext\.?|extension|x)\s*(\d{1,6}))?/gi;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const number = match[2] ? match[0].slice(0, match[0].search(/\s*(?:ext|x)/i)) : match[0];
+      let digits = number.replace(/\D/g, '');
+      const international = Boolean(match[1]);
+
+      if (international && match[1].trim().startsWith('00')) {
+        digits = digits.slice(2);
+      }
+
+      // Skip years, postal codes and other short digit runs
+      if (digits.length >= 7 && digits.length <= 15) {
+        return {
+          display: match[0].replace(/\s+/g, ' ').trim(),
+          digits,
+          international,
+          extension: match[2] || null
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sanitize an E.164 value (e.g. from an imported file)
+   * @param {string} value - Candidate E.164 number
+   * @returns {string|null} E.164 number or null if malformed
+   */
+  static normalizeE164(value) {
+    if (!value) return null;
+    const compact = String(value).replace(/[\s().\-\/]/g, '');
+    return /^\+[1-9]\d{6,14}$/.test(compact) ? compact : null;
+  }
+
+  /**
+   * Build (once) the calling-code lookups from GEO_DATA
+   * @returns {Object} {callingCodes, countriesByCode, keepTrunkPrefix}
+   */
+  static getIndex() {
+    if (this.index) return this.index;
+
+    const data = typeof GEO_DATA !== 'undefined' ? GEO_DATA : require('./geo-data.js');
+    const index = {
+      callingCodes: data.callingCodes,
+      countriesByCode: new Map(),
+      keepTrunkPrefix: new Set(data.keepTrunkPrefix)
+    };
+
+    for (const [country, code] of Object.entries(data.callingCodes)) {
+      if (!index.countriesByCode.has(code)) index.countriesByCode.set(code, []);
+      index.countriesByCode.get(code).push(country);
+    }
+
+    this.index = index;
+    return index;
+  }
+}
+
+// Make available globally for content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.PhoneParser = PhoneParser;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhoneParser;
+}
@@ -0,0 +1,75 @@
+// Bundled Public Suffix List subset for LinkedIn Scraper Extension
+// Used by UrlCanonicalizer to find the registrable domain of a website (e.g. acme.co.uk).
+// Single-label TLDs not listed here fall back to the list's default "*" rule, so only
+// multi-label suffixes and hosting platforms really matter. Source: https://publicsuffix.org/list/
+
+const PUBLIC_SUFFIXES = Object.freeze([
+  // Generic and sponsored top-level domains
+  'com', 'net', 'org', 'edu', 'gov', 'mil', 'int', 'info', 'biz', 'name', 'pro', 'mobi',
+  'asia', 'jobs', 'travel', 'museum', 'aero', 'coop', 'cat', 'tel', 'io', 'co', 'ai',
+  'app', 'dev', 'tech', 'online', 'site', 'store', 'shop', 'cloud', 'xyz', 'me', 'tv',
+  'cc', 'ly', 'gg', 'to', 'fm', 'am', 'sh', 'ac', 'vc', 'ws', 'la',
+
+  // United Kingdom
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'nhs.uk',
+  'sch.uk', 'police.uk',
+
+  // Australia / New Zealand
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au', 'co.nz', 'net.nz',
+  'org.nz', 'govt.nz', 'ac.nz', 'school.nz', 'geek.nz', 'kiwi.nz',
+
+  // Asia
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'ad.jp', 'ed.jp', 'gr.jp', 'lg.jp', 'co.kr',
+  'or.kr', 'ne.kr', 're.kr', 'go.kr', 'ac.kr', 'com.cn', 'net.cn', 'org.cn', 'gov.cn',
+  'edu.cn', 'ac.cn', 'com.hk', 'org.hk', 'net.hk', 'edu.hk', 'gov.hk', 'idv.hk', 'com.tw',
+  'org.tw', 'net.tw', 'edu.tw', 'gov.tw', 'idv.tw', 'com.sg', 'org.sg', 'net.sg', 'edu.sg',
+  'gov.sg', 'per.sg', 'com.my', 'net.my', 'org.my', 'edu.my', 'gov.my', 'co.id', 'or.id',
+  'ac.id', 'go.id', 'web.id', 'my.id', 'com.ph', 'net.ph', 'org.ph', 'gov.ph', 'edu.ph',
+  'co.th', 'in.th', 'ac.th', 'go.th', 'or.th', 'com.vn', 'net.vn', 'org.vn', 'edu.vn',
+  'gov.vn', 'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in',
+  'gov.in', 'res.in', 'com.pk', 'net.pk', 'org.pk', 'edu.pk', 'gov.pk', 'com.bd', 'net.bd',
+  'org.bd', 'com.lk', 'org.lk', 'com.np', 'org.np',
+
+  // Middle East / Africa
+  'co.il', 'org.il', 'net.il', 'ac.il', 'gov.il', 'muni.il', 'com.tr', 'net.tr', 'org.tr',
+  'edu.tr', 'gov.tr', 'bel.tr', 'gen.tr', 'com.sa', 'net.sa', 'org.sa', 'edu.sa', 'gov.sa',
+  'co.ae', 'net.ae', 'org.ae', 'ac.ae', 'gov.ae', 'com.qa', 'org.qa', 'com.kw', 'com.bh',
+  'com.om', 'com.jo', 'com.lb', 'com.eg', 'org.eg', 'edu.eg', 'gov.eg', 'co.za', 'org.za',
+  'net.za', 'gov.za', 'ac.za', 'web.za', 'co.ke', 'or.ke', 'ac.ke', 'go.ke', 'com.ng',
+  'org.ng', 'gov.ng', 'edu.ng', 'com.gh', 'co.tz', 'co.ug', 'com.et', 'co.ma', 'net.ma',
+  'org.ma', 'ac.ma', 'gov.ma', 'com.tn',
+
+  // Americas
+  'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'art.br', 'eng.br', 'ind.br', 'inf.br',
+  'com.mx', 'org.mx', 'net.mx', 'gob.mx', 'edu.mx', 'com.ar', 'net.ar', 'org.ar', 'gob.ar',
+  'edu.ar', 'com.co', 'net.co', 'org.co', 'gov.co', 'edu.co', 'nom.co', 'com.pe', 'org.pe',
+  'net.pe', 'gob.pe', 'edu.pe', 'cl', 'gob.cl', 'com.ve', 'com.ec', 'com.uy', 'com.py',
+  'com.bo', 'com.gt', 'com.pa', 'com.do', 'co.cr', 'com.sv', 'com.hn', 'com.ni', 'com.pr',
+  'qc.ca', 'on.ca', 'bc.ca', 'ab.ca',
+
+  // Europe
+  'com.es', 'org.es', 'nom.es', 'gob.es', 'edu.es', 'co.at', 'or.at', 'ac.at', 'gv.at',
+  'com.pl', 'net.pl', 'org.pl', 'info.pl', 'biz.pl', 'edu.pl', 'gov.pl', 'waw.pl',
+  'com.pt', 'org.pt', 'gov.pt', 'edu.pt', 'com.gr', 'org.gr', 'gov.gr', 'edu.gr', 'com.cy',
+  'com.mt', 'org.mt', 'com.ro', 'org.ro', 'com.ua', 'org.ua', 'net.ua', 'in.ua', 'kiev.ua',
+  'com.ru', 'org.ru', 'net.ru', 'msk.ru', 'spb.ru', 'co.hu', 'com.hr', 'com.ee', 'com.lv',
+  'co.rs', 'co.me', 'co.it', 'gov.it', 'edu.it', 'co.no', 'priv.no', 'co.nl', 'co.dk',
+  'co.de', 'co.fr', 'gouv.fr', 'asso.fr', 'com.fr', 'co.ch', 'co.be', 'ac.be', 'co.is',
+
+  // Common hosting platforms (private section of the list)
+  'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev',
+  'workers.dev', 'web.app', 'firebaseapp.com', 'azurewebsites.net', 'cloudfront.net',
+  'appspot.com', 'blogspot.com', 'wordpress.com', 'wixsite.com', 'squarespace.com',
+  'webflow.io', 'myshopify.com', 'carrd.co', 'notion.site', 'substack.com',
+  'framer.website'
+]);
+
+// Make available globally for content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.PUBLIC_SUFFIXES = PUBLIC_SUFFIXES;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PUBLIC_SUFFIXES;
+}
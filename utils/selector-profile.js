@@ -0,0 +1,304 @@
+// Selector Profile Utilities for LinkedIn Scraper Extension
+// All LinkedIn-specific CSS selectors live here so they can be patched without a new build.
+// A stored profile only holds the selectors it overrides; everything else falls back to the defaults.
+// Each entry is a list of selectors: lists are either tried in order (first match wins)
+// or joined into one selector (any match), depending on how the extractor uses them.
+
+const DEFAULT_SELECTOR_PROFILE = Object.freeze({
+  schemaVersion: 1,
+  selectors: {
+    // Shared across page types
+    page: {
+      skeletonLoader: ['.app-boot-bg-skeleton', '.skeleton-loader', '.initial-load-animation']
+    },
+
+    // Search results page
+    searchResults: {
+      companyCards: ['li.reusable-search__result-container'],
+      companyLink: ['a.app-aware-link[href*="/company/"]'],
+      // Fallback card containers and links, tried in order when companyCards finds nothing
+      cardContainers: [
+        'li.entity-result',
+        'div.entity-result',
+        'li.search-result',
+        'div.search-result',
+        '[data-chameleon-result-urn]',
+        'li[data-chameleon-result-urn]',
+        'div[data-chameleon-result-urn]'
+      ],
+      cardLinks: [
+        'a.app-aware-link[href*="/company/"]',
+        'a.entity-result__title-link[href*="/company/"]',
+        'a.search-result__result-link[href*="/company/"]',
+        'a[href*="/company/"][data-control-name]',
+        'a[href*="/company/"]'
+      ],
+      cardName: [
+        'span.entity-result__title-text a',
+        '.entity-result__title-text',
+        'h3.entity-result__title-text',
+        'a.entity-result__title-link',
+        '.search-result__result-link',
+        'a[href*="/company/"] span',
+        'a[href*="/company/"]'
+      ],
+      // Last resort: any company link on the page
+      anyCompanyLink: ['a[href*="/company/"]'],
+      cardUrnContainer: ['[data-chameleon-result-urn]', '[data-entity-urn]'],
+      // Elements inside a card whose URN attributes carry the organization ID
+      cardUrnElements: ['[data-chameleon-result-urn]', '[data-entity-urn]', '[data-urn]'],
+      // Card subtitles: "Industry • Location" and "12K followers"
+      cardPrimarySubtitle: ['.entity-result__primary-subtitle', '.search-result__info .subline-level-1'],
+      cardSecondarySubtitle: ['.entity-result__secondary-subtitle', '.search-result__info .subline-level-2'],
+      // Card snippet (summary text or matching job/post excerpt)
+      cardSummary: ['.entity-result__summary', '.search-result__snippets'],
+      // Result count above the list ("About 1,234 results")
+      resultCount: ['.search-results-container h2', '.search-results__total', '.search-results-container .t-black--light'],
+      resultsLoaded: [
+        'li.reusable-search__result-container',
+        'li.entity-result',
+        'div.entity-result',
+        '[data-chameleon-result-urn]'
+      ]
+    },
+
+    // Search results pagination
+    pagination: {
+      nextButton: [
+        'button[aria-label="Next"]',
+        'button[aria-label*="Next"]',
+        '.artdeco-pagination__button--next',
+        'button.artdeco-pagination__button[aria-label*="Next"]'
+      ],
+      // Only used when clicking, after nextButton
+      nextButtonFallbacks: [
+        'button[data-test-pagination-page-btn="next"]',
+        'button.artdeco-pagination__indicator--active + button',
+        '.artdeco-pagination__pages button:last-child'
+      ],
+      pageButtons: [
+        '.artdeco-pagination__pages button',
+        'button[aria-label*="Page"]',
+        '.artdeco-pagination__indicator--number',
+        'li.artdeco-pagination__indicator--number button'
+      ],
+      allButtons: ['.artdeco-pagination button', 'button[aria-label*="Next"]', 'button[aria-label*="next"]']
+    },
+
+    // Company page (About tab)
+    companyPage: {
+      // The first entry is also what extraction waits for
+      name: ['h1.org-top-card-summary__title', '.org-top-card-summary__title', 'h1'],
+      pageContent: ['.org-top-card-summary', '.org-about-us-organization-description', '.org-page-details'],
+      aboutContent: ['.org-page-details', '.org-about-us-organization-description'],
+      pageDetails: ['.org-page-details'],
+      overviewSection: ['.org-page-details__overview-section', '.org-about-module'],
+      aboutSections: ['.org-about-module', '.org-about-us-organization-description', '.org-page-details'],
+      topCard: ['.org-top-card', '.org-top-card-summary'],
+      topCardSummary: ['.org-top-card-summary'],
+      topCardInfoItems: ['.org-top-card-summary__info-item'],
+      websiteLink: ['a.link-without-visited-state[href*="http"]'],
+      industry: ['.org-top-card-summary__industry', '.org-page-details__definition-text'],
+      headquarters: ['.org-top-card-summary__headquarter', '[data-test-id="about-us-headquarters"]'],
+      companySize: [
+        '.org-top-card-summary__employee-count',
+        '.org-top-card-summary-info-list__info-item',
+        '.org-top-card-summary__info-item'
+      ],
+      associatedMembers: [
+        '.org-page-details__employees-on-linkedin-count',
+        '.org-about-company-module__company-size-definition-text'
+      ],
+      associatedMembersContext: ['.org-page-details', '.org-about-module', '.org-top-card-summary'],
+      organizationFilterLinks: ['a[href*="currentCompany="]', 'a[href*="f_C="]'],
+      // Top card elements whose URN attributes carry the organization ID
+      urnElements: ['[data-entity-urn]', '[data-urn]'],
+      // Embedded page data (JSON in <code> blocks) searched for the company URN
+      embeddedData: ['code'],
+      // Final company URL after redirects, tried in order (href or content attribute)
+      canonicalUrl: ['link[rel="canonical"]', 'meta[property="og:url"]'],
+      phoneLinks: ['a[href^="tel:"]'],
+      followers: [
+        '.org-top-card-summary-info-list__info-item',
+        '.org-top-card-summary__follower-count',
+        '.org-top-card-summary__info-item'
+      ],
+      logo: [
+        'img.org-top-card-primary-content__logo',
+        '.org-top-card-primary-content__logo-container img',
+        '.org-top-card__logo img',
+        '.org-top-card img[alt*="logo" i]'
+      ],
+      verifiedBadge: [
+        '.org-page-verified-badge',
+        '[data-test-icon^="verified"]',
+        'li-icon[type^="verified"]',
+        '[aria-label*="verified" i]',
+        '[title*="verified" i]'
+      ],
+      stockQuote: ['.org-stockquote-info', '[data-test-id="stock-quote"]', 'section[class*="stockquote"]'],
+      // Headings of the "Affiliated pages" / "Showcase pages" sidebar sections and the page links below them
+      sidebarHeadings: ['h2', 'h3'],
+      affiliatedPageLinks: ['a[href*="/company/"]', 'a[href*="/showcase/"]'],
+      affiliatedPageName: ['.org-company-card__title', '.artdeco-entity-lockup__title', '[class*="title"]'],
+      tagline: [
+        '.org-top-card-summary__tagline',
+        '.org-top-card-primary-content__tagline',
+        '.org-top-card__tagline'
+      ],
+      description: [
+        '.org-about-us-organization-description__text',
+        '.org-about-module__description',
+        '[data-test-id="about-us__description"]'
+      ],
+      overviewHeadings: ['.org-page-details-module__card-spacing h2', 'section h2'],
+      locationCards: [
+        '.org-location-card',
+        '.org-locations-module__location-card',
+        '[data-test-id="location-card"]'
+      ],
+      locationsModule: ['.org-locations-module', '[data-test-id="about-us-locations"]'],
+      locationAddress: ['.org-location-card__address', 'p'],
+      locationPrimaryLabel: ['.org-location-card__primary-label']
+    }
+  }
+});
+
+class SelectorProfile {
+  /**
+   * chrome.storage.local key of the user's profile
+   */
+  static get STORAGE_KEY() {
+    return 'selector_profile';
+  }
+
+  /**
+   * Resolve the effective selectors: defaults with the profile's overrides applied
+   * @param {Object|null} profile - Stored profile {schemaVersion, version, name, updatedAt, selectors}
+   * @returns {Object} Selectors grouped like DEFAULT_SELECTOR_PROFILE.selectors (a fresh copy)
+   */
+  static resolve(profile) {
+    const selectors = JSON.parse(JSON.stringify(DEFAULT_SELECTOR_PROFILE.selectors));
+    if (!profile || !profile.selectors) return selectors;
+
+    for (const [group, entries] of Object.entries(this.validate(profile).selectors)) {
+      Object.assign(selectors[group], entries);
+    }
+    return selectors;
+  }
+
+  /**
+   * Validate a profile (e.g. an imported file) and normalize its overrides
+   * Single selector strings are turned into one-element lists
+   * @param {Object} profile - Profile to validate
+   * @returns {Object} Normalized profile {schemaVersion, version, name, updatedAt, selectors}
+   * @throws {Error} With a message naming the offending entry
+   */
+  static validate(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error('Selector profile must be a JSON object.');
+    }
+
+    const schemaVersion = profile.schemaVersion === undefined ? 1 : profile.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+      throw new Error('Invalid schemaVersion.');
+    }
+    if (schemaVersion > DEFAULT_SELECTOR_PROFILE.schemaVersion) {
+      throw new Error(`Profile schema version ${schemaVersion} is newer than this extension supports (${DEFAULT_SELECTOR_PROFILE.schemaVersion}).`);
+    }
+
+    const overrides = profile.selectors || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('"selectors" must be an object of selector groups.');
+    }
+
+    const defaults = DEFAULT_SELECTOR_PROFILE.selectors;
+    const selectors = {};
+
+    for (const [group, entries] of Object.entries(overrides)) {
+      if (!defaults[group]) {
+        throw new Error(`Unknown selector group "${group}".`);
+      }
+      if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error(`Selector group "${group}" must be an object.`);
+      }
+
+      for (const [key, value] of Object.entries(entries)) {
+        if (!defaults[group][key]) {
+          throw new Error(`Unknown selector "${group}.${key}".`);
+        }
+
+        const list = (Array.isArray(value) ? value : [value])
+          .map(selector => typeof selector === 'string' ? selector.trim() : selector);
+        if (list.length === 0 || list.some(selector => typeof selector !== 'string' || !selector)) {
+          throw new Error(`"${group}.${key}" must be a selector or a non-empty list of selectors.`);
+        }
+
+        for (const selector of list) {
+          if (!this.isValidSelector(selector)) {
+            throw new Error(`"${group}.${key}" contains an invalid selector: ${selector}`);
+          }
+        }
+
+        selectors[group] = selectors[group] || {};
+        selectors[group][key] = list;
+      }
+    }
+
+    return {
+      schemaVersion,
+      version: Number.isInteger(profile.version) && profile.version > 0 ? profile.version : 1,
+      name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : 'Custom',
+      updatedAt: profile.updatedAt || null,
+      selectors
+    };
+  }
+
+  /**
+   * Reduce a full selector set to the entries that differ from the defaults
+   * @param {Object} selectors - Selectors grouped like the defaults (e.g. from the side panel editor)
+   * @returns {Object} Overrides only (empty object if nothing changed)
+   */
+  static diff(selectors) {
+    const defaults = DEFAULT_SELECTOR_PROFILE.selectors;
+    const overrides = {};
+
+    for (const [group, entries] of Object.entries(selectors || {})) {
+      for (const [key, value] of Object.entries(entries || {})) {
+        const defaultValue = defaults[group] ? defaults[group][key] : undefined;
+        if (JSON.stringify(value) !== JSON.stringify(defaultValue)) {
+          overrides[group] = overrides[group] || {};
+          overrides[group][key] = value;
+        }
+      }
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Check CSS selector syntax (only possible where a DOM is available)
+   * @param {string} selector - CSS selector
+   * @returns {boolean} True if the selector parses (or can't be checked here)
+   */
+  static isValidSelector(selector) {
+    if (typeof document === 'undefined') return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Make available globally for content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.DEFAULT_SELECTOR_PROFILE = DEFAULT_SELECTOR_PROFILE;
+  window.SelectorProfile = SelectorProfile;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DEFAULT_SELECTOR_PROFILE, SelectorProfile };
+}
@@ -0,0 +1,164 @@
+// Website URL Canonicalization Utilities for LinkedIn Scraper Extension
+// Shared by the content scripts (extraction) and the side panel (import / duplicate flagging)
+
+class UrlCanonicalizer {
+  /**
+   * Canonicalize a website URL: unwrap redirectors, drop tracking parameters and
+   * fragments, lowercase the host and remove trailing slashes / index pages
+   * e.g. "https://www.linkedin.com/redir/redirect?url=https%3A%2F%2FWWW.Acme.com%2F%3Futm_source%3Dlinkedin"
+   *   -> "https://www.acme.com"
+   * @param {string} href - Raw website URL
+   * @returns {string|null} Canonical URL or null if not a valid http(s) URL
+   */
+  static canonicalize(href) {
+    if (!href || typeof href !== 'string' || href.trim() === 'N/A') return null;
+
+    const unwrapped = this.unwrapRedirect(href.trim());
+    const url = this.parseUrl(unwrapped);
+    if (!url) return null;
+
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+
+    for (const name of [...url.searchParams.keys()]) {
+      if (this.isTrackingParam(name)) {
+        url.searchParams.delete(name);
+      }
+    }
+
+    const path = url.pathname
+      .replace(/\/(index|default)\.(html?|php|aspx?)$/i, '/')
+      .replace(/\/+$/, '');
+
+    return `${url.protocol}//${url.host}${path}${url.search}`;
+  }
+
+  /**
+   * Unwrap redirect / click-tracking URLs (LinkedIn, Google, Facebook, Outlook)
+   * Nested wrappers are unwrapped up to a few levels deep
+   * @param {string} href - URL that may be a redirect wrapper
+   * @returns {string} Target URL, or the input if it isn't a known redirector
+   */
+  static unwrapRedirect(href) {
+    let current = href;
+
+    for (let depth = 0; depth < 3; depth++) {
+      const url = this.parseUrl(current);
+      if (!url) return current;
+
+      const host = url.hostname.toLowerCase();
+      const redirector = this.redirectors.find(rule =>
+        (host === rule.host || host.endsWith(`.${rule.host}`)) && rule.path.test(url.pathname)
+      );
+      if (!redirector) return current;
+
+      const target = redirector.params
+        .map(param => url.searchParams.get(param))
+        .find(Boolean);
+      if (!target) return current;
+
+      current = target;
+    }
+
+    return current;
+  }
+
+  /**
+   * Known redirectors and the query parameter holding the target URL
+   */
+  static get redirectors() {
+    return [
+      { host: 'linkedin.com', path: /^\/(redir\/|safety\/go)/, params: ['url'] },
+      { host: 'google.com', path: /^\/url$/, params: ['q', 'url'] },
+      { host: 'facebook.com', path: /^\/l\.php$/, params: ['u'] },
+      { host: 'safelinks.protection.outlook.com', path: /.*/, params: ['url'] }
+    ];
+  }
+
+  /**
+   * Check if a query parameter is only used for tracking
+   * @param {string} name - Query parameter name
+   * @returns {boolean} True if the parameter can be dropped
+   */
+  static isTrackingParam(name) {
+    const key = name.toLowerCase();
+    const prefixes = ['utm_', 'mc_', '_hs', 'hsa_', 'pk_', 'mtm_'];
+    const names = [
+      'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+      'li_fat_id', 'trk', 'trkinfo', 'trackingid', 'lipi', 'ref', 'ref_src',
+      '_ga', '_gl', 'mkt_tok', 'spm'
+    ];
+    return names.includes(key) || prefixes.some(prefix => key.startsWith(prefix));
+  }
+
+  /**
+   * Derive the registrable domain (eTLD+1) of a URL or host using the bundled public-suffix list
+   * e.g. "https://shop.acme.co.uk/en" -> "acme.co.uk"
+   * @param {string} value - URL or host name
+   * @returns {string|null} Registrable domain, the host itself for IP addresses, or null
+   */
+  static getDomain(value) {
+    if (!value || typeof value !== 'string' || value.trim() === 'N/A') return null;
+
+    const url = this.parseUrl(value.trim());
+    if (!url) return null;
+
+    const host = url.hostname.toLowerCase().replace(/\.$/, '');
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[')) {
+      return host;
+    }
+
+    const labels = host.split('.').filter(Boolean);
+    if (labels.length < 2) return null;
+
+    // Longest listed suffix wins; unlisted TLDs fall back to the default "*" rule
+    const suffixes = this.getSuffixes();
+    let suffixStart = labels.findIndex((label, i) => suffixes.has(labels.slice(i).join('.')));
+    if (suffixStart === -1) {
+      suffixStart = labels.length - 1;
+    }
+
+    // The host is itself a public suffix (e.g. "github.io")
+    if (suffixStart === 0) return null;
+
+    return labels.slice(suffixStart - 1).join('.');
+  }
+
+  /**
+   * Parse a URL, assuming https:// when no scheme is given
+   * @param {string} value - URL or bare host
+   * @returns {URL|null} Parsed http(s) URL or null
+   */
+  static parseUrl(value) {
+    try {
+      // Anything with a scheme ("mailto:", "tel:") is kept as is; "acme.com:8080" is a bare host
+      const hasScheme = /^[a-z][a-z\d+.-]*:(?!\d)/i.test(value);
+      const url = new URL(hasScheme ? value : `https://${value}`);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build (once) the public-suffix lookup set from PUBLIC_SUFFIXES
+   * @returns {Set<string>} Public suffixes
+   */
+  static getSuffixes() {
+    if (this.suffixes) return this.suffixes;
+
+    const list = typeof PUBLIC_SUFFIXES !== 'undefined' ? PUBLIC_SUFFIXES : require('./public-suffixes.js');
+    this.suffixes = new Set(list);
+    return this.suffixes;
+  }
+}
+
+// Make available globally for content scripts and the side panel
+if (typeof window !== 'undefined') {
+  window.UrlCanonicalizer = UrlCanonicalizer;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlCanonicalizer;
+}